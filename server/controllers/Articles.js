@@ -4,20 +4,35 @@ import {
   serverResponse,
   serverError,
   articleResponse,
-  isFollowing
+  isFollowing,
+  getViewerKey,
+  readingStats,
+  paginationValues,
+  pageCounter,
+  encodeCursor,
+  decodeCursor,
+  createLikeOrDislike,
+  removeLikeOrDislike,
+  recordMentions,
+  withMentionLinks,
+  notify,
+  notifyFollowers
 } from '../helpers';
 import Tags from './Tags';
 import middlewares from '../middlewares';
 
 const {
   Article,
+  ArticleRevision,
+  ArticleView,
+  Bookmark,
   Like,
   Dislike,
   Category,
   Comment,
   Tag,
   User,
-  UserFollower
+  sequelize
 } = models;
 const { verifyToken, getSessionFromToken } = middlewares;
 
@@ -60,43 +75,6 @@ const customArticleResponse = async (
   });
 };
 
-/**
- * Create like or dislike for an article
- *
- * @name createLikeOrDislike
- * @param {String} userAction - Action user wants to perform (like/dislike)
- * @param {String|Number} userId - Id of the user
- * @param {Object} article - selected article object
- * @returns {JSON} JSON object with details of the liked/disliked article
- */
-const createLikeOrDislike = async (userAction, userId, article) => {
-  const articleIdFilter = { where: { id: article.id } };
-  const model = userAction === 'like' ? Dislike : Like;
-  await model.destroy({
-    where: {
-      userId,
-      contentType: 'article',
-      contentId: article.id
-    }
-  });
-
-  if (userAction === 'like') {
-    const dislikesCount = await article.countDislikes();
-    await Article.update({ dislikesCount }, { where: { id: article.id } });
-
-    await article.createLike({ userId });
-    const likesCount = await article.countLikes();
-    await Article.update({ likesCount }, articleIdFilter);
-  } else {
-    const likesCount = await article.countLikes();
-    await Article.update({ likesCount }, articleIdFilter);
-
-    await article.createDislike({ userId });
-    const dislikesCount = await article.countDislikes();
-    await Article.update({ dislikesCount }, articleIdFilter);
-  }
-};
-
 /**
  * @export
  * @class Articles
@@ -122,7 +100,8 @@ const createLikeOrDislike = async (userAction, userId, article) => {
       let { category } = body;
       category = category.toLowerCase();
       let { tags } = body;
-      const publishedAt = status === 'draft' || articleBody === undefined ? null : Date.now();
+      const publishedAt = status !== 'publish' || articleBody === undefined ? null : Date.now();
+      const publishAt = status === 'scheduled' ? body.publishAt : null;
       let createTags;
       let categoryDetails = await Category.findOne({
         where: { name: category }
@@ -142,11 +121,17 @@ const createLikeOrDislike = async (userAction, userId, article) => {
 
       const myArticle = await Article.create({
         ...body,
+        ...readingStats(articleBody),
         image,
         authorId: id,
         publishedAt,
+        publishAt,
         categoryId: categoryDetails.id
       });
+      if (myArticle.publishedAt) {
+        await recordMentions(req.user, myArticle, 'article', myArticle);
+        await notifyFollowers(myArticle);
+      }
       const associateTags = (await Tags.associateArticle(myArticle.id, createTags)) || [];
       myArticle.dataValues.tagList = associateTags;
       myArticle.dataValues.category = {
@@ -160,6 +145,88 @@ const createLikeOrDislike = async (userAction, userId, article) => {
     }
   }
 
+  /**
+   * @name getArticles
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of published articles
+   */
+  static async getArticles(req, res) {
+    try {
+      const { page, pageItems } = req.query;
+      const { offset, limit } = paginationValues(req.query);
+      const { count, results } = await Article.findByPage(
+        offset,
+        limit,
+        models,
+        req.query
+      );
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name feed
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with articles from followed authors and
+   * preferred categories
+   */
+  static async feed(req, res) {
+    try {
+      const {
+        user: { id: userId },
+        query: { cursor: queryCursor, pageItems = 10 }
+      } = req;
+      const cursor = queryCursor ? decodeCursor(queryCursor) : null;
+      if (queryCursor && !cursor) {
+        return serverResponse(res, 422, {
+          errors: { cursor: 'Cursor is invalid' }
+        });
+      }
+
+      const limit = Number(pageItems);
+      const articles = await Article.findFeed(
+        userId,
+        { cursor, limit: limit + 1 },
+        models
+      );
+      const hasMore = articles.length > limit;
+      const results = articles.slice(0, limit);
+      const nextCursor = hasMore
+        ? encodeCursor(results[results.length - 1])
+        : null;
+      return serverResponse(res, 200, {
+        itemsOnPage: results.length,
+        nextCursor,
+        data: { results }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
   /**
    * @name canTag
    * @async
@@ -219,6 +286,12 @@ const createLikeOrDislike = async (userAction, userId, article) => {
       }
 
       await createLikeOrDislike('like', userId, article);
+      await notify({
+        type: 'like',
+        userId: article.authorId,
+        actorId: userId,
+        articleId: article.id
+      });
       customArticleResponse(
         res,
         201,
@@ -298,18 +371,7 @@ const createLikeOrDislike = async (userAction, userId, article) => {
         return serverResponse(res, 404, { error: 'article not found' });
       }
 
-      const articleIdFilter = { where: { id: article.id } };
-      const likeOrDislikeRemovalFilter = {
-        where: {
-          userId,
-          contentType: 'article',
-          contentId: article.id
-        }
-      };
-
-      await Like.destroy(likeOrDislikeRemovalFilter);
-      const likesCount = await article.countLikes();
-      await Article.update({ likesCount }, articleIdFilter);
+      await removeLikeOrDislike('like', userId, article);
 
       customArticleResponse(
         res,
@@ -345,18 +407,7 @@ const createLikeOrDislike = async (userAction, userId, article) => {
         return serverResponse(res, 404, { error: 'article not found' });
       }
 
-      const articleIdFilter = { where: { id: article.id } };
-      const likeOrDislikeRemovalFilter = {
-        where: {
-          userId,
-          contentType: 'article',
-          contentId: article.id
-        }
-      };
-
-      await Dislike.destroy(likeOrDislikeRemovalFilter);
-      const dislikesCount = await article.countDislikes();
-      await Article.update({ dislikesCount }, articleIdFilter);
+      await removeLikeOrDislike('dislike', userId, article);
 
       customArticleResponse(
         res,
@@ -423,20 +474,60 @@ const createLikeOrDislike = async (userAction, userId, article) => {
       }
       if (file) image = await imageUpload(req);
       const { status, articleBody } = body;
-      const publishedAt = status === 'draft' || articleBody === undefined ? null : Date.now();
-      const updated = await Article.update(
-        {
-          ...body,
-          publishedAt,
-          image,
-          categoryId: articleDetails.categoryId
-        },
-        { where: { slug, authorId: id }, returning: true }
+      let { publishedAt, publishAt } = articleDetails;
+      if (status !== undefined) {
+        publishedAt = status !== 'publish' || articleBody === undefined
+          ? null
+          : Date.now();
+        publishAt = status === 'scheduled' ? body.publishAt : null;
+      }
+      const bodyStats = articleBody === undefined
+        ? {}
+        : readingStats(articleBody);
+      const changedFields = ArticleRevision.getChangedFields(
+        articleDetails,
+        body
       );
+      const updated = await sequelize.transaction(async (transaction) => {
+        const result = await Article.update(
+          {
+            ...body,
+            ...bodyStats,
+            publishedAt,
+            publishAt,
+            image,
+            categoryId: articleDetails.categoryId
+          },
+          { where: { slug, authorId: id }, returning: true, transaction }
+        );
+        if (result[0] && changedFields.length) {
+          await ArticleRevision.record(
+            articleDetails,
+            id,
+            changedFields,
+            transaction
+          );
+        }
+        return result;
+      });
       if (!updated[0]) {
         return serverResponse(res, 403, { message: 'article not updated' });
       }
       const updatedArticle = updated[1][0].dataValues;
+      if (changedFields.includes('articleBody')) {
+        await Comment.reanchor(articleDetails.id, updatedArticle.articleBody);
+      }
+      if (!articleDetails.publishedAt && updatedArticle.publishedAt) {
+        await notifyFollowers(updatedArticle);
+      }
+      if (updatedArticle.publishedAt) {
+        await recordMentions(
+          req.user,
+          updatedArticle,
+          'article',
+          updatedArticle
+        );
+      }
       const aritcleCategory = await articleDetails.getCategory();
       const updatedTags = await articleDetails.getTags();
       updatedArticle.tagList = updatedTags.map(({ name }) => name);
@@ -460,11 +551,10 @@ const createLikeOrDislike = async (userAction, userId, article) => {
    */
   static async userArticles(req, res) {
     try {
-      const userArticle = await Article.findAndCountAll({
-        where: {
-          authorId: req.user.id
-        }
-      });
+      const { archived } = req.query;
+      const where = { authorId: req.user.id };
+      if (archived !== undefined) where.isArchived = archived === 'true';
+      const userArticle = await Article.findAndCountAll({ where });
       const articles = {
         total: userArticle.count,
         data: userArticle.rows
@@ -477,6 +567,82 @@ const createLikeOrDislike = async (userAction, userId, article) => {
     }
   }
 
+  /**
+   * archives an article so it is hidden from readers
+   *
+   * @name archive
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} Details of the archived article
+   */
+  static async archive(req, res) {
+    try {
+      const { article } = req;
+      if (article.isArchived) {
+        return serverResponse(res, 409, {
+          error: 'article is already archived'
+        });
+      }
+      await article.update({ isArchived: true });
+      return serverResponse(res, 200, {
+        message: 'article archived successfully',
+        article
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * restores an archived article
+   *
+   * @name unarchive
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} Details of the unarchived article
+   */
+  static async unarchive(req, res) {
+    try {
+      const { article } = req;
+      if (!article.isArchived) {
+        return serverResponse(res, 409, { error: 'article is not archived' });
+      }
+      await article.update({ isArchived: false });
+      return serverResponse(res, 200, {
+        message: 'article unarchived successfully',
+        article
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * soft deletes an article
+   *
+   * @name delete
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with message on deleted article
+   */
+  static async delete(req, res) {
+    try {
+      await req.article.destroy();
+      return serverResponse(res, 200, { message: 'article deleted' });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
   /**
    *
    * @name viewArticle
@@ -540,7 +706,9 @@ const createLikeOrDislike = async (userAction, userId, article) => {
         return serverResponse(res, 404, { error: 'article not found' });
       }
 
-      await Article.update({ views: article.views + 1 }, { where: { slug } });
+      await ArticleView.record(article, getViewerKey(req));
+      await withMentionLinks('article', [article]);
+      await withMentionLinks('comment', article.dataValues.comments);
       await article.dataValues.comments.map(async ({ dataValues }) => {
         dataValues.following = await isFollowing(
           article.Author.id,
@@ -563,18 +731,71 @@ const createLikeOrDislike = async (userAction, userId, article) => {
    * @returns {json} the json response returned by the server
    * @memberof ProfilesController
    */
-  static authView(req, res, article) {
-    const {
-      user: { id: userId }
-    } = req;
+  static async authView(req, res, article) {
+    try {
+      const {
+        user: { id: userId }
+      } = req;
 
-    if (article && userId === article.authorId) {
-      return serverResponse(res, 200, { article });
+      if (article) {
+        article.dataValues.bookmarked = await Bookmark.isBookmarked(
+          userId,
+          article.id
+        );
+      }
+      if (article && userId === article.authorId) {
+        return serverResponse(res, 200, { article });
+      }
+      if (!article || article.isArchived || !article.publishedAt) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      await ArticleView.record(article, getViewerKey(req, userId), userId);
+      await withMentionLinks('article', [article]);
+      await withMentionLinks('comment', article.dataValues.comments);
+      return articleResponse(res, 200, article);
+    } catch (error) {
+      return serverError(res);
     }
-    if (!article || article.isArchived || !article.publishedAt) {
-      return serverResponse(res, 404, { error: 'article not found' });
+  }
+
+  /**
+   * @name stats
+   * @async
+   * @static
+   * @memberof Articles
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the read analytics of an article
+   */
+  static async stats(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      if (article.authorId !== userId) {
+        return serverResponse(res, 403, {
+          error: "you don't have permission to access this content"
+        });
+      }
+
+      const { uniqueReaders, timeSeries } = await ArticleView.getStats(
+        article.id
+      );
+      return serverResponse(res, 200, {
+        stats: {
+          totalViews: article.views,
+          uniqueReaders,
+          likes: article.likesCount,
+          dislikes: article.dislikesCount,
+          timeSeries
+        }
+      });
+    } catch (error) {
+      return serverError(res);
     }
-    return articleResponse(res, 200, article);
   }
 }
 
@@ -1,4 +1,8 @@
-import { getUserAgent, createSocialUsers, getSocialUserData } from '../helpers';
+import {
+  createSocialUsers,
+  getSocialUserData,
+  createSocialLoginCode
+} from '../helpers';
 /**
  * @export
  * @class Auth
@@ -11,27 +15,21 @@ class Auth {
    * @memberof Auth
    * @param {Object} request express request object
    * @param {Object} response express response object
-   * @returns {JSON} JSON object with details of new user
+   * @returns {Void} redirects to the client with a one-time code to
+   * exchange at /sessions/social for a session
    */
   static async socialLogin(request, response) {
-    const { devicePlatform, userAgent } = getUserAgent(request);
-    const { ip } = request;
     const { givenName, familyName, email } = getSocialUserData(request);
     const data = {
       firstName: givenName,
       lastName: familyName,
-      email,
-      devicePlatform,
-      userAgent,
-      ipAddress: ip
+      email
     };
     const user = await createSocialUsers(data);
-    delete user.password;
+    const code = createSocialLoginCode(user.id);
     response
       .status(301)
-      .redirect(
-        `${process.env.CLIENT_URL}?token=${user.token}&username=${email}`
-      );
+      .redirect(`${process.env.CLIENT_URL}?code=${code}&username=${email}`);
   }
 }
 export default Auth;
@@ -0,0 +1,154 @@
+import { Op } from 'sequelize';
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  paginationValues,
+  pageCounter
+} from '../helpers';
+
+const {
+  Article, Bookmark, Category, User
+} = models;
+
+/**
+ * @export
+ * @class Bookmarks
+ */
+class Bookmarks {
+  /**
+   * @name create
+   * @async
+   * @static
+   * @memberof Bookmarks
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the bookmark
+   */
+  static async create(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findReadableBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const [bookmark, created] = await Bookmark.findOrCreate({
+        where: { userId, articleId: article.id }
+      });
+      if (!created) {
+        return serverResponse(res, 200, {
+          message: 'you have already bookmarked this article',
+          bookmark
+        });
+      }
+      return serverResponse(res, 201, {
+        message: 'article bookmarked successfully',
+        bookmark
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name destroy
+   * @async
+   * @static
+   * @memberof Bookmarks
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a message
+   */
+  static async destroy(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const removed = await Bookmark.destroy({
+        where: { userId, articleId: article.id }
+      });
+      if (!removed) {
+        return serverResponse(res, 404, { error: 'bookmark not found' });
+      }
+      return serverResponse(res, 200, {
+        message: 'bookmark removed successfully'
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Bookmarks
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of the user's bookmarks
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, pageItems } = req.query;
+      const { id: userId } = req.user;
+      const { offset, limit } = paginationValues(req.query);
+      const { count, rows } = await Bookmark.findAndCountAll({
+        where: { userId },
+        attributes: ['id', 'createdAt'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset,
+        include: [
+          {
+            model: Article,
+            as: 'article',
+            where: { isArchived: false, publishedAt: { [Op.ne]: null } },
+            attributes: [
+              'slug',
+              'title',
+              'description',
+              'image',
+              'likesCount',
+              'dislikesCount',
+              'wordCount',
+              'readTimeMinutes',
+              'publishedAt'
+            ],
+            include: [
+              {
+                model: User,
+                as: 'Author',
+                attributes: ['firstName', 'lastName', 'userName', 'avatarUrl']
+              },
+              { model: Category, attributes: ['name'] }
+            ]
+          }
+        ]
+      });
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results: rows
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Bookmarks;
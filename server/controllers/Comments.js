@@ -1,7 +1,41 @@
 import models from '../database/models';
-import { serverResponse, serverError, isFollowing } from '../helpers';
+import {
+  serverResponse,
+  serverError,
+  isFollowing,
+  paginationValues,
+  pageCounter,
+  createLikeOrDislike,
+  removeLikeOrDislike,
+  anchorMatches,
+  recordMentions,
+  withMentionLinks,
+  notify,
+  publishEvent,
+  eventChannel
+} from '../helpers';
+import middlewares from '../middlewares';
 
-const { Comment, Article, User } = models;
+const {
+  Comment, CommentRevision, Article, User, UserFollower, sequelize
+} = models;
+const { verifyToken, getSessionFromToken } = middlewares;
+
+/**
+ * @name findReactableComment
+ * @param {String} slug slug of the article
+ * @param {Integer} id id of the comment
+ * @returns {Object} the comment, or the status and error to respond with
+ */
+const findReactableComment = async (slug, id) => {
+  const article = await Article.findBySlug(slug);
+  if (!article) return { status: 404, error: 'article not found' };
+  const comment = await Comment.findOne({
+    where: { id, articleId: article.id, isDeleted: false }
+  });
+  if (!comment) return { status: 404, error: 'comment not found' };
+  return { comment };
+};
 
 /**
  *
@@ -21,19 +55,43 @@ class Comments {
   static async create(req, res) {
     try {
       const { id: userId } = req.user;
-      const { slug } = req.params;
-      const { comment } = req.body;
+      const { slug, id: parentId } = req.params;
+      const { comment, anchor } = req.body;
 
       const article = await Article.findBySlug(slug);
       if (!article) {
         return serverResponse(res, 404, { error: 'article not found' });
       }
+      const anchorError = Comments.checkAnchor(anchor, article, parentId);
+      if (anchorError) {
+        return serverResponse(res, 422, { errors: { anchor: anchorError } });
+      }
+      let parent;
+      if (parentId) {
+        parent = await Comment.findOne({
+          where: { id: parentId, articleId: article.id, isDeleted: false }
+        });
+        if (!parent) {
+          return serverResponse(res, 404, { error: 'comment not found' });
+        }
+      }
       const articleAuthorId = article.authorId;
       let commentData = await Comment.create({
         userId,
         comment,
-        articleId: article.id
+        articleId: article.id,
+        parentId: parent ? parent.id : null,
+        anchor: anchor || null
+      });
+      if (parent) await parent.increment('repliesCount');
+      await notify({
+        type: 'comment',
+        userId: article.authorId,
+        actorId: userId,
+        articleId: article.id,
+        commentId: commentData.id
       });
+      await recordMentions(req.user, article, 'comment', commentData);
 
       const { dataValues: author } = await commentData.getAuthor({
         attributes: ['id', 'userName', 'bio', 'avatarUrl']
@@ -43,11 +101,20 @@ class Comments {
         id: commentData.id,
         comment: commentData.comment,
         articleId: commentData.articleId,
+        parentId: commentData.parentId,
+        repliesCount: commentData.repliesCount,
+        anchor: commentData.anchor,
+        isOrphaned: commentData.isOrphaned,
         updatedAt: commentData.updatedAt,
         createdAt: commentData.createdAt
       };
       author.following = await isFollowing(articleAuthorId, userId);
       commentData.author = author;
+      await withMentionLinks('comment', [commentData]);
+      await publishEvent(eventChannel('article', article.id), {
+        type: 'comment',
+        data: commentData
+      });
       return serverResponse(res, 201, { comment: commentData });
     } catch (error) {
       serverError(res);
@@ -65,13 +132,25 @@ class Comments {
    */
   static async getArticleComments(req, res) {
     try {
-      const { slug } = req.params;
+      const {
+        params: { slug },
+        headers: { authorization }
+      } = req;
+      if (authorization && !req.user) {
+        return verifyToken(req, res, () => getSessionFromToken(
+          req,
+          res,
+          () => Comments.getArticleComments(req, res)
+        ));
+      }
       const article = await Article.findBySlug(slug);
       if (!article) {
         return serverResponse(res, 404, { error: 'article not found' });
       }
 
-      let comments = await article.getComments({
+      const { page, pageItems, sort } = req.query;
+      const { offset, limit } = paginationValues(req.query);
+      const listingOptions = {
         attributes: { exclude: ['userId'] },
         include: [
           {
@@ -80,29 +159,262 @@ class Comments {
             attributes: ['id', 'userName', 'bio', 'avatarUrl']
           }
         ]
+      };
+      const { count, rows: comments } = await Comment.findAndCountAll({
+        ...listingOptions,
+        where: { articleId: article.id, parentId: null, anchor: null },
+        order: Comment.sortOrders[sort] || Comment.sortOrders.oldest,
+        limit,
+        offset
       });
+      const highlights = await Comment.findHighlights(
+        article.id,
+        listingOptions
+      );
 
-      if (comments.length < 1) {
+      if (count + highlights.length < 1) {
         return serverResponse(res, 200, {
           message: 'article has no comment',
-          comments
+          comments,
+          highlights
         });
       }
-      const articleAuthorId = article.authorId;
 
-      comments = comments.map(async (comment) => {
-        const {
-          author: { id }
-        } = comment;
-        const isUserFollowingAuthor = await isFollowing(articleAuthorId, id);
-        const author = comment.author.dataValues;
-        author.following = isUserFollowingAuthor;
-        comment.author = author;
-        return comment;
-      });
-      comments = await Promise.all(comments);
-      const commentsCount = comments.length;
-      return serverResponse(res, 200, { comments, commentsCount });
+      const shownComments = [...comments, ...highlights];
+      await Comments.withAuthors(shownComments, article.authorId);
+      await Comments.withReactions(shownComments, req.user);
+      await withMentionLinks('comment', shownComments);
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        comments,
+        commentsCount: count,
+        highlights,
+        highlightsCount: highlights.length
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name getReplies
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of replies to a comment
+   */
+  static async getReplies(req, res) {
+    try {
+      const {
+        params: { slug, id },
+        headers: { authorization }
+      } = req;
+      const { page, pageItems } = req.query;
+      if (authorization && !req.user) {
+        return verifyToken(req, res, () => getSessionFromToken(
+          req,
+          res,
+          () => Comments.getReplies(req, res)
+        ));
+      }
+      const article = await Article.findBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      const parent = await Comment.findOne({
+        where: { id, articleId: article.id }
+      });
+      if (!parent) {
+        return serverResponse(res, 404, { error: 'comment not found' });
+      }
+
+      const { offset, limit } = paginationValues(req.query);
+      const { count, rows } = await Comment.findAndCountAll({
+        where: { parentId: parent.id },
+        attributes: { exclude: ['userId'] },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        limit,
+        offset,
+        include: [
+          {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'userName', 'bio', 'avatarUrl']
+          }
+        ]
+      });
+      const replies = await Comments.withAuthors(rows, article.authorId);
+      await Comments.withReactions(replies, req.user);
+      await withMentionLinks('comment', replies);
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results: replies
+        }
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * hides the author of deleted comments and flags whether each comment
+   * author follows the article author, using a single follow lookup
+   *
+   * @name withAuthors
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Array} comments comments with their authors included
+   * @param {Integer} articleAuthorId id of the author of the article
+   * @returns {Array} the comments
+   */
+  static async withAuthors(comments, articleAuthorId) {
+    const authorIds = comments
+      .filter(({ isDeleted }) => !isDeleted)
+      .map(({ author }) => author.id);
+    const followerIds = authorIds.length
+      ? await UserFollower.findFollowerIds(articleAuthorId, authorIds)
+      : [];
+    comments.forEach((comment) => {
+      if (comment.isDeleted) {
+        comment.dataValues.author = null;
+        return;
+      }
+      const author = comment.author.dataValues;
+      author.following = followerIds.includes(author.id);
+    });
+    return comments;
+  }
+
+  /**
+   * checks that an inline comment quotes the article text at its offsets,
+   * replies are never anchored
+   *
+   * @name checkAnchor
+   * @static
+   * @memberof Comments
+   * @param {Object} anchor start/end offsets and the quoted text
+   * @param {Object} article the article being commented on
+   * @param {Integer} parentId id of the comment being replied to
+   * @returns {(String|null)} the error message if the anchor is invalid
+   */
+  static checkAnchor(anchor, article, parentId) {
+    if (!anchor) return null;
+    if (parentId) return 'replies cannot be anchored to the article';
+    if (!anchorMatches(anchor, article.articleBody)) {
+      return 'anchor quote does not match the article text';
+    }
+    return null;
+  }
+
+  /**
+   * adds the signed in user's own reaction (like, dislike or null) to
+   * each comment
+   *
+   * @name withReactions
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Array} comments list of comments
+   * @param {Object} user the signed in user, if any
+   * @returns {Array} the comments
+   */
+  static async withReactions(comments, user) {
+    const reactions = user && comments.length
+      ? await Comment.getReactions(user.id, comments.map(({ id }) => id))
+      : {};
+    comments.forEach((comment) => {
+      comment.dataValues.reaction = reactions[comment.id] || null;
+    });
+    return comments;
+  }
+
+  /**
+   * @name addReaction
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the reaction counts of the comment
+   */
+  static async addReaction(req, res) {
+    try {
+      const { slug, id, reaction } = req.params;
+      const { id: userId } = req.user;
+      const { status, error, comment } = await findReactableComment(slug, id);
+      if (error) return serverResponse(res, status, { error });
+
+      const previousReactions = reaction === 'like'
+        ? await comment.getLikes({ where: { userId } })
+        : await comment.getDislikes({ where: { userId } });
+      if (previousReactions.length) {
+        return serverResponse(res, 200, {
+          message: `you have already ${reaction}d this comment`
+        });
+      }
+
+      await createLikeOrDislike(reaction, userId, comment);
+      await comment.reload();
+      return serverResponse(res, 201, {
+        message: `${reaction} added successfully`,
+        comment: {
+          id: comment.id,
+          likesCount: comment.likesCount,
+          dislikesCount: comment.dislikesCount,
+          reaction
+        }
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name removeReaction
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the reaction counts of the comment
+   */
+  static async removeReaction(req, res) {
+    try {
+      const { slug, id, reaction } = req.params;
+      const { id: userId } = req.user;
+      const { status, error, comment } = await findReactableComment(slug, id);
+      if (error) return serverResponse(res, status, { error });
+
+      await removeLikeOrDislike(reaction, userId, comment);
+      await comment.reload();
+      return serverResponse(res, 200, {
+        message: `${reaction} removed successfully`,
+        comment: {
+          id: comment.id,
+          likesCount: comment.likesCount,
+          dislikesCount: comment.dislikesCount,
+          reaction: null
+        }
+      });
     } catch (error) {
       serverError(res);
     }
@@ -126,20 +438,19 @@ class Comments {
         return serverResponse(res, 404, { error: 'article not found' });
       }
       const articleId = article.id;
-      const comment = await Comment.findOne({ where: { id, articleId } });
+      const comment = await Comment.findOne({
+        where: { id, articleId, isDeleted: false }
+      });
       if (!comment) {
         return serverResponse(res, 404, { error: 'comment not found' });
       }
 
-      const deletedComment = await Comment.destroy({
-        where: { id, articleId, userId }
-      });
-
-      if (!deletedComment) {
+      if (comment.userId !== userId) {
         return serverResponse(res, 403, {
           error: "you don't have permission to access this content"
         });
       }
+      await Comment.remove(comment);
 
       return serverResponse(res, 200, { message: 'comment deleted' });
     } catch (error) {
@@ -147,6 +458,48 @@ class Comments {
     }
   }
 
+  /**
+   * @name getHistory
+   * @async
+   * @static
+   * @memberof Comments
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the previous versions of a comment
+   */
+  static async getHistory(req, res) {
+    try {
+      const { slug, id } = req.params;
+      const article = await Article.findBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      const comment = await Comment.findOne({
+        where: { id, articleId: article.id, isDeleted: false }
+      });
+      if (!comment) {
+        return serverResponse(res, 404, { error: 'comment not found' });
+      }
+
+      const history = await comment.getRevisions({
+        attributes: ['revision', 'comment', 'createdAt'],
+        order: [['revision', 'DESC']]
+      });
+      return serverResponse(res, 200, {
+        comment: {
+          id: comment.id,
+          comment: comment.comment,
+          edited: comment.edited,
+          editsCount: comment.editsCount,
+          updatedAt: comment.updatedAt
+        },
+        history
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
   /**
    * @name update
    * @async
@@ -168,22 +521,34 @@ class Comments {
       }
 
       const articleId = article.id;
-      const commentData = await Comment.findOne({ where: { id, articleId } });
+      const commentData = await Comment.findOne({
+        where: { id, articleId, isDeleted: false }
+      });
       if (!commentData) {
         return serverResponse(res, 404, { error: 'comment not found' });
       }
 
-      const [rowsUpdated, [updatedComment]] = await Comment.update(
-        { comment },
-        { returning: true, where: { id, userId, articleId } }
-      );
-      if (rowsUpdated < 1) {
+      if (commentData.userId !== userId) {
         return serverResponse(res, 403, {
           error: "you don't have permission to access this content"
         });
       }
+      if (commentData.comment !== comment) {
+        await sequelize.transaction(async (transaction) => {
+          const { revision } = await CommentRevision.record(
+            commentData,
+            transaction
+          );
+          await commentData.update(
+            { comment, editsCount: revision },
+            { transaction }
+          );
+        });
+        await recordMentions(req.user, article, 'comment', commentData);
+      }
 
-      comment = updatedComment.dataValues;
+      comment = commentData.toJSON();
+      await withMentionLinks('comment', [comment]);
       return serverResponse(res, 200, { message: 'comment updated', comment });
     } catch (error) {
       serverError(res);
@@ -0,0 +1,84 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  paginationValues,
+  pageCounter
+} from '../helpers';
+
+const { Email } = models;
+
+/**
+ * @export
+ * @class Emails
+ */
+class Emails {
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Emails
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of the most recent emails
+   */
+  static async getAll(req, res) {
+    try {
+      const {
+        page, pageItems, status, to
+      } = req.query;
+      const where = {};
+      if (status) where.status = status;
+      if (to) where.to = to;
+      const { offset, limit } = paginationValues(req.query);
+      const { count, rows } = await Email.findAndCountAll({
+        where,
+        attributes: { exclude: ['html'] },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset
+      });
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results: rows
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getOne
+   * @async
+   * @static
+   * @memberof Emails
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with an email and its content
+   */
+  static async getOne(req, res) {
+    try {
+      const { id } = req.params;
+      const email = Number.isInteger(Number(id))
+        && (await Email.findByPk(id));
+      if (!email) {
+        return serverResponse(res, 404, { error: 'email not found' });
+      }
+      return serverResponse(res, 200, { email });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Emails;
@@ -0,0 +1,114 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  subscribeToEvents,
+  eventChannel,
+  findToken,
+  isTokenDenied
+} from '../helpers';
+
+const { Article } = models;
+
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * @name canWatchArticle
+ * @param {Object} article article object
+ * @param {Integer} userId id of the user making the request
+ * @returns {Boolean} true if the user can watch the article's comments
+ */
+const canWatchArticle = (article, userId) => {
+  if (!article) return false;
+  if (article.authorId === userId) return true;
+  return !article.isArchived && !!article.publishedAt;
+};
+
+/**
+ * @name writeEvent
+ * @param {Object} res express response object
+ * @param {Object} event type and data of the event
+ * @returns {Boolean} result of writing the event to the stream
+ */
+const writeEvent = (res, { type, data }) => res.write(
+  `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+);
+
+/**
+ * @name isSignedIn
+ * @async
+ * @param {String} token token the stream was opened with
+ * @returns {Boolean} true while the token has not been revoked and its
+ * session is still active
+ */
+const isSignedIn = async token => !(await isTokenDenied(token))
+  && !!(await findToken(token));
+
+/**
+ * @export
+ * @class Events
+ */
+class Events {
+  /**
+   * @name stream
+   * @async
+   * @static
+   * @memberof Events
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {Void} keeps the response open and writes server-sent events
+   * for the notifications of the user and the comments on the watched article
+   * until the client disconnects or the session is signed out
+   */
+  static async stream(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { token } = res.locals;
+      const { article: slug } = req.query;
+      const channels = [eventChannel('user', userId)];
+      if (slug) {
+        const article = await Article.findBySlug(slug);
+        if (!canWatchArticle(article, userId)) {
+          return serverResponse(res, 404, { error: 'article not found' });
+        }
+        channels.push(eventChannel('article', article.id));
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      const unsubscribe = await subscribeToEvents(
+        channels,
+        event => writeEvent(res, event)
+      );
+      let heartbeat;
+      /**
+       * @name close
+       * @returns {Void} stops the heartbeat and the subscriptions
+       */
+      const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      heartbeat = setInterval(async () => {
+        try {
+          if (await isSignedIn(token)) return res.write(': heartbeat\n\n');
+          writeEvent(res, { type: 'signed-out', data: {} });
+        } catch (error) {
+          writeEvent(res, { type: 'error', data: {} });
+        }
+        close();
+        res.end();
+      }, HEARTBEAT_INTERVAL);
+      req.on('close', close);
+      writeEvent(res, { type: 'connected', data: { article: slug || null } });
+    } catch (error) {
+      if (res.headersSent) return res.end();
+      return serverError(res);
+    }
+  }
+}
+
+export default Events;
@@ -1,5 +1,5 @@
 import models from '../database/models';
-import { serverResponse, serverError } from '../helpers';
+import { serverResponse, serverError, notify } from '../helpers';
 
 const { User, UserFollower } = models;
 const userAttributes = [
@@ -42,7 +42,14 @@ class Followers {
           followerId: id
         }
       });
-      const { dataValues } = follower[0];
+      const [{ dataValues }, created] = follower;
+      if (created) {
+        await notify({
+          type: 'follow',
+          userId: userToBeFollowed.id,
+          actorId: id
+        });
+      }
 
       await Followers.updateFollowsCount(
         userThatWantsToFollow,
@@ -0,0 +1,203 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  paginationValues,
+  pageCounter
+} from '../helpers';
+
+const {
+  Notification, NotificationSetting, User, Article, Comment
+} = models;
+
+/**
+ * @name settingsResponse
+ * @param {Object} setting notification settings of a user
+ * @returns {Object} the channel chosen for each event type and the digest
+ */
+const settingsResponse = setting => [
+  ...NotificationSetting.eventTypes,
+  'digest'
+].reduce((settings, field) => ({ ...settings, [field]: setting[field] }), {});
+
+/**
+ * @export
+ * @class Notifications
+ */
+class Notifications {
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of the user's notifications
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, pageItems, unread } = req.query;
+      const { id: userId } = req.user;
+      const { offset, limit } = paginationValues(req.query);
+      const where = { userId, inApp: true };
+      if (String(unread) === 'true') where.readAt = null;
+
+      const { count, rows } = await Notification.findAndCountAll({
+        where,
+        attributes: ['id', 'type', 'readAt', 'createdAt'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset,
+        include: [
+          {
+            model: User,
+            as: 'actor',
+            attributes: ['id', 'userName', 'avatarUrl']
+          },
+          {
+            model: Article,
+            as: 'article',
+            attributes: ['id', 'slug', 'title']
+          },
+          {
+            model: Comment,
+            as: 'comment',
+            attributes: ['id', 'comment']
+          }
+        ]
+      });
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results: rows
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name unreadCount
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the number of unread notifications
+   */
+  static async unreadCount(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const unread = await Notification.countUnread(userId);
+      return serverResponse(res, 200, { unread });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name markRead
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the read notification
+   */
+  static async markRead(req, res) {
+    try {
+      const { id } = req.params;
+      const { id: userId } = req.user;
+      const notification = await Notification.findOne({
+        where: { id, userId, inApp: true }
+      });
+      if (!notification) {
+        return serverResponse(res, 404, { error: 'notification not found' });
+      }
+      if (!notification.readAt) {
+        await notification.update({ readAt: new Date() });
+      }
+      return serverResponse(res, 200, {
+        message: 'notification marked as read',
+        notification
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name markAllRead
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the number of notifications read
+   */
+  static async markAllRead(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const updatedCount = await Notification.markAllRead(userId);
+      return serverResponse(res, 200, {
+        message: 'all notifications marked as read',
+        updatedCount
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getSettings
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the user's notification settings
+   */
+  static async getSettings(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const setting = await NotificationSetting.forUser(userId);
+      return serverResponse(res, 200, { settings: settingsResponse(setting) });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name updateSettings
+   * @async
+   * @static
+   * @memberof Notifications
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the updated notification settings
+   */
+  static async updateSettings(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const setting = await NotificationSetting.forUser(userId);
+      await setting.update(req.body);
+      return serverResponse(res, 200, {
+        message: 'notification settings updated',
+        settings: settingsResponse(setting)
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Notifications;
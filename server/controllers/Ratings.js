@@ -0,0 +1,128 @@
+import models from '../database/models';
+import { serverResponse, serverError } from '../helpers';
+
+const { Article, Rating } = models;
+
+/**
+ * @name articleRating
+ * @param {Integer} articleId id of the article
+ * @returns {Object} the average rating and number of ratings of the article
+ */
+const articleRating = async (articleId) => {
+  const { rating, ratingsCount } = await Article.findById(articleId);
+  return { rating: Number(rating), ratingsCount };
+};
+
+/**
+ * @export
+ * @class Ratings
+ */
+class Ratings {
+  /**
+   * @name rate
+   * @async
+   * @static
+   * @memberof Ratings
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the rating of the user and the article
+   */
+  static async rate(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const value = Number(req.body.rating);
+      const article = await Article.findReadableBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      if (article.authorId === userId) {
+        return serverResponse(res, 403, {
+          error: 'you cannot rate your own article'
+        });
+      }
+
+      const [rating, created] = await Rating.findOrCreate({
+        where: { userId, articleId: article.id },
+        defaults: { value }
+      });
+      if (!created) await rating.update({ value });
+      await Rating.updateArticleRating(article.id);
+
+      return serverResponse(res, created ? 201 : 200, {
+        message: `rating ${created ? 'added' : 'updated'} successfully`,
+        rating: rating.value,
+        article: { slug, ...(await articleRating(article.id)) }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name remove
+   * @async
+   * @static
+   * @memberof Ratings
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the updated rating of the article
+   */
+  static async remove(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const removed = await Rating.destroy({
+        where: { userId, articleId: article.id }
+      });
+      if (!removed) {
+        return serverResponse(res, 404, { error: 'rating not found' });
+      }
+      await Rating.updateArticleRating(article.id);
+
+      return serverResponse(res, 200, {
+        message: 'rating removed successfully',
+        article: { slug, ...(await articleRating(article.id)) }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Ratings
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the ratings of an article by star value
+   */
+  static async getAll(req, res) {
+    try {
+      const { slug } = req.params;
+      const article = await Article.findReadableBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const breakdown = await Rating.getBreakdown(article.id);
+      return serverResponse(res, 200, {
+        ratings: {
+          average: Number(article.rating),
+          count: article.ratingsCount,
+          breakdown
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Ratings;
@@ -0,0 +1,287 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  paginationValues,
+  pageCounter
+} from '../helpers';
+
+const {
+  Article, Comment, Report, User
+} = models;
+
+/**
+ * @name createReport
+ * @param {Object} res express response object
+ * @param {Object} reportDetails details of the report
+ * @returns {JSON} JSON object with details of the report
+ */
+const createReport = async (res, reportDetails) => {
+  const {
+    reporterId, contentType, contentId, reason, note
+  } = reportDetails;
+  const [report, created] = await Report.findOrCreate({
+    where: {
+      reporterId,
+      contentType,
+      contentId,
+      status: 'pending'
+    },
+    defaults: { articleId: reportDetails.articleId, reason, note }
+  });
+  if (!created) {
+    return serverResponse(res, 409, {
+      error: `you have already reported this ${contentType}`
+    });
+  }
+  return serverResponse(res, 201, {
+    message: `${contentType} reported successfully`,
+    report
+  });
+};
+
+/**
+ * @name findPendingReport
+ * @param {String} id id of the report
+ * @returns {Object} the report or the error when it cannot be closed
+ */
+const findPendingReport = async (id) => {
+  const report = await Report.findByPk(id);
+  if (!report) {
+    return { status: 404, error: 'report not found' };
+  }
+  if (report.status !== 'pending') {
+    return { status: 409, error: `report has already been ${report.status}` };
+  }
+  return { report };
+};
+
+/**
+ * @export
+ * @class Reports
+ */
+class Reports {
+  /**
+   * @name reportArticle
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the report
+   */
+  static async reportArticle(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: reporterId } = req.user;
+      const article = await Article.findReadableBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      return await createReport(res, {
+        ...req.body,
+        reporterId,
+        articleId: article.id,
+        contentType: 'article',
+        contentId: article.id
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name reportComment
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the report
+   */
+  static async reportComment(req, res) {
+    try {
+      const { slug, id } = req.params;
+      const { id: reporterId } = req.user;
+      const article = await Article.findReadableBySlug(slug);
+      if (!article) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      const comment = await Comment.findOne({
+        where: { id, articleId: article.id, isDeleted: false }
+      });
+      if (!comment) {
+        return serverResponse(res, 404, { error: 'comment not found' });
+      }
+
+      return await createReport(res, {
+        ...req.body,
+        reporterId,
+        articleId: article.id,
+        contentType: 'comment',
+        contentId: comment.id
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a page of the report queue
+   */
+  static async getAll(req, res) {
+    try {
+      const {
+        page, pageItems, status = 'pending', contentType
+      } = req.query;
+      const where = { status };
+      if (contentType) where.contentType = contentType;
+      const { offset, limit } = paginationValues(req.query);
+      const { count, rows } = await Report.findAndCountAll({
+        where,
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        limit,
+        offset,
+        include: [
+          {
+            model: User,
+            as: 'reporter',
+            attributes: ['id', 'userName', 'avatarUrl']
+          },
+          {
+            model: Article,
+            as: 'article',
+            attributes: ['slug', 'title', 'authorId', 'isArchived'],
+            paranoid: false
+          }
+        ]
+      });
+      const { totalPages, itemsOnPage, parsedPage } = pageCounter(
+        count,
+        page,
+        pageItems
+      );
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results: rows
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name resolve
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the resolved report
+   */
+  static async resolve(req, res) {
+    return Reports.close(req, res, 'resolved');
+  }
+
+  /**
+   * @name dismiss
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the dismissed report
+   */
+  static async dismiss(req, res) {
+    return Reports.close(req, res, 'dismissed');
+  }
+
+  /**
+   * @name close
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @param {String} status status to close the report with
+   * @returns {JSON} JSON object with details of the closed report
+   */
+  static async close(req, res, status) {
+    try {
+      const { report, status: errorStatus, error } = await findPendingReport(
+        req.params.id
+      );
+      if (error) return serverResponse(res, errorStatus, { error });
+
+      await Report.close(report, status, req.user.id);
+      return serverResponse(res, 200, {
+        message: `report ${status} successfully`,
+        report
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * archives the reported article or removes the reported comment and
+   * closes every pending report on it
+   *
+   * @name action
+   * @async
+   * @static
+   * @memberof Reports
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the actioned report
+   */
+  static async action(req, res) {
+    try {
+      const { report, status: errorStatus, error } = await findPendingReport(
+        req.params.id
+      );
+      if (error) return serverResponse(res, errorStatus, { error });
+
+      const { contentType, contentId } = report;
+      if (contentType === 'article') {
+        await Article.update(
+          { isArchived: true },
+          { where: { id: contentId } }
+        );
+      } else {
+        const comment = await Comment.findByPk(contentId);
+        if (comment && !comment.isDeleted) await Comment.remove(comment);
+      }
+      const closedReports = await Report.closePendingForContent(
+        report,
+        'actioned',
+        req.user.id
+      );
+      await report.reload();
+
+      return serverResponse(res, 200, {
+        message: contentType === 'article'
+          ? 'article archived successfully'
+          : 'comment removed successfully',
+        closedReports,
+        report
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Reports;
@@ -0,0 +1,183 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  lineDiff,
+  readingStats
+} from '../helpers';
+
+const {
+  Article, ArticleRevision, Comment, User, sequelize
+} = models;
+
+/**
+ * @name canViewRevisions
+ * @param {Object} article article object
+ * @param {Integer} userId id of the user making the request
+ * @returns {Boolean} true if the user can see the article's revisions
+ */
+const canViewRevisions = (article, userId) => {
+  if (!article) return false;
+  if (article.authorId === userId) return true;
+  return !article.isArchived && !!article.publishedAt;
+};
+
+/**
+ * @name parseRevisionNumber
+ * @param {String} revision revision number from the request params
+ * @returns {(Number|null)} the revision number or null when it is invalid
+ */
+const parseRevisionNumber = (revision) => {
+  const revisionNumber = Number(revision);
+  if (!Number.isInteger(revisionNumber) || revisionNumber < 1) return null;
+  return revisionNumber;
+};
+
+/**
+ * @export
+ * @class Revisions
+ */
+class Revisions {
+  /**
+   * @name getAll
+   * @async
+   * @static
+   * @memberof Revisions
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the revisions of an article
+   */
+  static async getAll(req, res) {
+    try {
+      const { slug } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!canViewRevisions(article, userId)) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const revisions = await article.getRevisions({
+        attributes: ['revision', 'changedFields', 'createdAt'],
+        include: [
+          {
+            model: User,
+            as: 'editor',
+            attributes: ['id', 'firstName', 'lastName', 'userName']
+          }
+        ],
+        order: [['revision', 'DESC']]
+      });
+
+      return serverResponse(res, 200, {
+        revisions,
+        revisionsCount: revisions.length
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name getDiff
+   * @async
+   * @static
+   * @memberof Revisions
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the line diff of a revision
+   */
+  static async getDiff(req, res) {
+    try {
+      const { slug, revision } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!canViewRevisions(article, userId)) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+
+      const revisionNumber = parseRevisionNumber(revision);
+      const articleRevision = revisionNumber
+        && (await ArticleRevision.findByNumber(article.id, revisionNumber));
+      if (!articleRevision) {
+        return serverResponse(res, 404, { error: 'revision not found' });
+      }
+
+      const diff = lineDiff(articleRevision.articleBody, article.articleBody);
+      return serverResponse(res, 200, {
+        revision: articleRevision.revision,
+        changedFields: articleRevision.changedFields,
+        createdAt: articleRevision.createdAt,
+        additions: diff.filter(({ type }) => type === 'added').length,
+        deletions: diff.filter(({ type }) => type === 'removed').length,
+        diff
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name restore
+   * @async
+   * @static
+   * @memberof Revisions
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with details of the restored article
+   */
+  static async restore(req, res) {
+    try {
+      const { slug, revision } = req.params;
+      const { id: userId } = req.user;
+      const article = await Article.findBySlug(slug);
+      if (!article || article.isArchived) {
+        return serverResponse(res, 404, { error: 'article not found' });
+      }
+      if (article.authorId !== userId) {
+        return serverResponse(res, 403, {
+          error: "you don't have permission to access this content"
+        });
+      }
+
+      const revisionNumber = parseRevisionNumber(revision);
+      const articleRevision = revisionNumber
+        && (await ArticleRevision.findByNumber(article.id, revisionNumber));
+      if (!articleRevision) {
+        return serverResponse(res, 404, { error: 'revision not found' });
+      }
+
+      const { title, description, articleBody } = articleRevision;
+      const restoredValues = { title, description, articleBody };
+      const changedFields = ArticleRevision.getChangedFields(
+        article,
+        restoredValues
+      );
+      if (changedFields.length) {
+        await sequelize.transaction(async (transaction) => {
+          await ArticleRevision.record(
+            article,
+            userId,
+            changedFields,
+            transaction
+          );
+          await article.update(
+            { ...restoredValues, ...readingStats(articleBody) },
+            { transaction }
+          );
+        });
+      }
+      if (changedFields.includes('articleBody')) {
+        await Comment.reanchor(article.id, articleBody);
+      }
+
+      return serverResponse(res, 200, {
+        message: `article restored to revision ${articleRevision.revision}`,
+        article
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default Revisions;
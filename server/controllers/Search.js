@@ -23,30 +23,43 @@ class Search {
    * @returns {JSON} Json object
    */
   static async findQuery(req, res) {
-    const { page, pageItems, global } = req.query;
-    if (global) return Search.globalSearch(req, res);
-    const searchCategories = searchCategorizer(req.query);
-    if (!searchCategories && Object.keys(req.query).includes('article')) {
-      const { offset, limit } = paginationValues(req.query);
-      const articles = await Article.findByPage(offset, limit, models);
-      return serverResponse(res, 200, articles);
-    }
-    const {
-      modelToSearch: { model }
-    } = searchCategories;
-    const { count, results } = await Search.modelSearch(req.query, res, model);
-    const pageDetails = pageCounter(count, page, pageItems);
-    const { totalPages, itemsOnPage, parsedPage } = pageDetails;
-
-    return serverResponse(res, 200, {
-      currentPage: parsedPage,
-      totalPages,
-      itemsOnPage,
-      data: {
-        count,
-        results
+    try {
+      const { page, pageItems, global } = req.query;
+      if (global) return Search.globalSearch(req, res);
+      const searchCategories = searchCategorizer(req.query);
+      if (!searchCategories && Object.keys(req.query).includes('article')) {
+        const { offset, limit } = paginationValues(req.query);
+        const articles = await Article.findByPage(
+          offset,
+          limit,
+          models,
+          req.query
+        );
+        return serverResponse(res, 200, articles);
       }
-    });
+      const {
+        modelToSearch: { model }
+      } = searchCategories;
+      const { count, results } = await Search.modelSearch(
+        req.query,
+        res,
+        model
+      );
+      const pageDetails = pageCounter(count, page, pageItems);
+      const { totalPages, itemsOnPage, parsedPage } = pageDetails;
+
+      return serverResponse(res, 200, {
+        currentPage: parsedPage,
+        totalPages,
+        itemsOnPage,
+        data: {
+          count,
+          results
+        }
+      });
+    } catch (error) {
+      return serverError(res);
+    }
   }
 
   /**
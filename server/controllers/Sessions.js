@@ -1,16 +1,76 @@
 import bcrypt from 'bcryptjs';
 import {
   findUser,
-  generateToken,
+  startSession,
   serverResponse,
   serverError,
-  expiryDate,
   getUserAgent,
-  userResponse
+  userResponse,
+  denyToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+  redeemSocialLoginCode,
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures
 } from '../helpers';
 import models from '../database/models';
 
-const { Session } = models;
+const { Session, TwoFactorAuth, User } = models;
+
+/**
+ * @name signIn
+ * @param {Object} req express request object
+ * @param {Object} res express response object
+ * @param {Object} user the user signing in
+ * @returns {JSON} JSON object with the user and the tokens of a new session
+ */
+const signIn = async (req, res, user) => {
+  const { devicePlatform, userAgent } = getUserAgent(req);
+  const { token, refreshToken } = await startSession({
+    userId: user.id,
+    userAgent,
+    ipAddress: req.ip,
+    devicePlatform
+  });
+  await clearLoginFailures(user.id);
+  res.set('Authorization', token);
+  return userResponse(res, 200, user, token, refreshToken);
+};
+
+/**
+ * @name completeSignIn
+ * @param {Object} req express request object
+ * @param {Object} res express response object
+ * @param {Object} user the user signing in
+ * @returns {JSON} JSON object with a challenge token when the user has
+ * two-factor authentication enabled, otherwise the tokens of a new session
+ */
+const completeSignIn = async (req, res, user) => {
+  if (await TwoFactorAuth.findEnabled(user.id)) {
+    return serverResponse(res, 200, {
+      message: 'enter a code from your authenticator app to continue',
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user.id)
+    });
+  }
+  return signIn(req, res, user);
+};
+
+/**
+ * @name lockedResponse
+ * @param {Object} res express response object
+ * @param {Number} retryAfter seconds until the account is unlocked
+ * @returns {JSON} JSON object saying the account is locked
+ */
+const lockedResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return serverResponse(res, 429, {
+    message: 'account is temporarily locked after too many failed sign in '
+      + 'attempts. please try again later'
+  });
+};
 
 /**
  *
@@ -36,45 +96,240 @@ class Sessions {
         });
       }
       const user = await findUser(userLogin);
+      const lockedFor = user && (await getAccountLock(user.id));
+      if (lockedFor) return lockedResponse(res, lockedFor);
       let verifyPassword;
       if (user) verifyPassword = bcrypt.compareSync(password, user.password);
       if (!user || !verifyPassword) {
+        const lockedNow = user && (await recordLoginFailure(user));
+        if (lockedNow) return lockedResponse(res, lockedNow);
         return serverResponse(res, 401, {
           message: 'incorrect username or password'
         });
       }
-      const { devicePlatform, userAgent } = getUserAgent(req);
-      const { id } = user;
-      const expiresAt = expiryDate(devicePlatform);
-      const token = generateToken({ id });
-      await Session.create({
-        userId: id,
-        token,
-        expiresAt,
+      return await completeSignIn(req, res, user);
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name verifyTwoFactor
+   * @async
+   * @static
+   * @memberof Sessions
+   * @description second step of signing in for users with two-factor
+   * authentication. Exchanges the challenge token from the first step and a
+   * code from the authenticator app, or a recovery code, for a session
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the user and the tokens of the new session
+   */
+  static async verifyTwoFactor(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+      const userId = verifyChallengeToken(challengeToken);
+      const twoFactorAuth = userId && (await TwoFactorAuth.findEnabled(userId));
+      if (!twoFactorAuth) {
+        return serverResponse(res, 401, {
+          message: 'invalid or expired challenge token'
+        });
+      }
+      const lockedFor = await getAccountLock(userId);
+      if (lockedFor) return lockedResponse(res, lockedFor);
+      const user = await User.findById(userId);
+      if (!(await verifySecondFactor(twoFactorAuth, code))) {
+        const lockedNow = await recordLoginFailure(user);
+        if (lockedNow) return lockedResponse(res, lockedNow);
+        return serverResponse(res, 401, {
+          message: 'invalid authentication code'
+        });
+      }
+      return await signIn(req, res, user);
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name socialSignIn
+   * @async
+   * @static
+   * @memberof Sessions
+   * @description exchanges the one-time code the social login redirect
+   * carries for a session, so session tokens never appear in a URL. Users
+   * with two-factor authentication get a challenge token instead
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the user and the tokens of the new session,
+   * or a challenge token for the second step
+   */
+  static async socialSignIn(req, res) {
+    try {
+      const userId = await redeemSocialLoginCode(req.body.code);
+      const user = userId && (await User.findById(userId));
+      if (!user) {
+        return serverResponse(res, 401, {
+          message: 'invalid or expired sign in code'
+        });
+      }
+      return await completeSignIn(req, res, user);
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name refresh
+   * @async
+   * @static
+   * @memberof Sessions
+   * @description exchanges a refresh token for a new access token and
+   * refresh token. A refresh token that was already exchanged signs out
+   * every session of its family, since it can only have been stolen
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the new access token and refresh token
+   */
+  static async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return serverResponse(res, 400, {
+          message: 'refresh token is required'
+        });
+      }
+      const session = await Session.findByRefreshToken(refreshToken);
+      if (!session) {
+        return serverResponse(res, 401, { message: 'invalid refresh token' });
+      }
+      if (!session.rotatedAt && !session.active) {
+        return serverResponse(res, 401, { message: 'invalid refresh token' });
+      }
+      if (!session.rotatedAt && new Date(Date.now()) >= session.expiresAt) {
+        await session.update({ active: false });
+        return serverResponse(res, 401, {
+          message: 'session has expired. please sign in again'
+        });
+      }
+      if (session.rotatedAt || !(await Session.rotate(session))) {
+        await Session.revokeFamily(session.familyId);
+        return serverResponse(res, 401, {
+          message: 'refresh token has already been used. please sign in again'
+        });
+      }
+
+      const { userAgent } = getUserAgent(req);
+      const tokens = await startSession({
+        userId: session.userId,
         userAgent,
         ipAddress: req.ip,
-        devicePlatform
+        devicePlatform: session.devicePlatform,
+        familyId: session.familyId
+      });
+      res.set('Authorization', tokens.token);
+      return serverResponse(res, 200, {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
       });
-      res.set('Authorization', token);
-      return userResponse(res, 200, user, token);
     } catch (error) {
       serverError(res);
     }
   }
 
   /**
-   *
-   *
+   * @name getAll
+   * @async
    * @static
+   * @memberof Sessions
    * @param {object} req - request object
    * @param {object} res - response object
+   * @returns {json} object with the active sessions of the user
+   */
+  static async getAll(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { session: currentSession } = res.locals;
+      const sessions = await Session.findActiveForUser(userId);
+      sessions.forEach((session) => {
+        session.dataValues.current = session.id === currentSession.id;
+      });
+      return serverResponse(res, 200, {
+        sessions,
+        sessionsCount: sessions.length
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name revoke
+   * @async
+   * @static
    * @memberof Sessions
-   * @returns {json}  object
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the message of the revoked session
+   */
+  static async revoke(req, res) {
+    try {
+      const { id } = req.params;
+      const { id: userId } = req.user;
+      const session = Number.isInteger(Number(id))
+        && (await Session.findOne({ where: { id, userId, active: true } }));
+      if (!session) {
+        return serverResponse(res, 404, { error: 'session not found' });
+      }
+      await session.update({ active: false });
+      return serverResponse(res, 200, { message: 'session revoked' });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name revokeOthers
+   * @async
+   * @static
+   * @memberof Sessions
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the number of sessions that were revoked
+   */
+  static async revokeOthers(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { session: currentSession } = res.locals;
+      const revokedCount = await Session.revokeOthers(
+        userId,
+        currentSession.id
+      );
+      return serverResponse(res, 200, {
+        message: 'signed out of all other sessions',
+        revokedCount
+      });
+    } catch (error) {
+      serverError(res);
+    }
+  }
+
+  /**
+   * @name destroy
+   * @async
+   * @static
+   * @memberof Sessions
+   * @description signs out the session making the request and rejects its
+   * token until it expires
+   * @param {object} req - request object
+   * @param {object} res - response object
+   * @returns {json} object with the sign out message
    */
   static async destroy(req, res) {
     try {
-      const token = req.headers.authorization;
-      await Session.update({ active: false }, { where: { token } });
+      const { session, token } = res.locals;
+      await session.update({ active: false });
+      await denyToken(token, session.expiresAt);
       return serverResponse(res, 200, { message: 'sign out successful' });
     } catch (error) {
       serverError(res);
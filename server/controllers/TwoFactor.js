@@ -0,0 +1,157 @@
+import models from '../database/models';
+import {
+  serverResponse,
+  serverError,
+  generateTwoFactorSecret,
+  twoFactorUri,
+  twoFactorStep,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../helpers';
+
+const { TwoFactorAuth, RecoveryCode } = models;
+
+/**
+ * @name lockedResponse
+ * @param {Object} res express response object
+ * @param {Number} retryAfter seconds until the account is unlocked
+ * @returns {JSON} JSON object saying the account is locked
+ */
+const lockedResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return serverResponse(res, 429, {
+    error: 'account is temporarily locked after too many failed attempts. '
+      + 'please try again later'
+  });
+};
+
+/**
+ * @export
+ * @class TwoFactor
+ */
+class TwoFactor {
+  /**
+   * @name enrol
+   * @async
+   * @static
+   * @memberof TwoFactor
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the secret and otpauth URI to add to an
+   * authenticator app
+   */
+  static async enrol(req, res) {
+    try {
+      const { id: userId, email } = req.user;
+      if (await TwoFactorAuth.findEnabled(userId)) {
+        return serverResponse(res, 409, {
+          error: 'two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = generateTwoFactorSecret();
+      const [twoFactorAuth, created] = await TwoFactorAuth.findOrCreate({
+        where: { userId },
+        defaults: { secret }
+      });
+      if (!created) await twoFactorAuth.update({ secret });
+
+      return serverResponse(res, 200, {
+        message: 'add the secret to your authenticator app and confirm a code',
+        secret,
+        otpauthUri: twoFactorUri(email, secret)
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name confirm
+   * @async
+   * @static
+   * @memberof TwoFactor
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with the recovery codes of the user
+   */
+  static async confirm(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { code } = req.body;
+      const twoFactorAuth = await TwoFactorAuth.findOne({ where: { userId } });
+      if (!twoFactorAuth) {
+        return serverResponse(res, 404, {
+          error: 'two-factor enrolment not found'
+        });
+      }
+      if (twoFactorAuth.enabledAt) {
+        return serverResponse(res, 409, {
+          error: 'two-factor authentication is already enabled'
+        });
+      }
+      const step = twoFactorStep(twoFactorAuth.secret, code);
+      if (step === null) {
+        return serverResponse(res, 400, {
+          error: 'invalid authentication code'
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await RecoveryCode.replaceFor(userId, recoveryCodes);
+      await twoFactorAuth.update({ enabledAt: new Date(), lastUsedStep: step });
+      return serverResponse(res, 200, {
+        message: 'two-factor authentication enabled',
+        recoveryCodes
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+
+  /**
+   * @name disable
+   * @async
+   * @static
+   * @memberof TwoFactor
+   * @param {Object} req express request object
+   * @param {Object} res express response object
+   * @returns {JSON} JSON object with a success message. Wrong codes count
+   * towards locking the account like failed sign ins
+   */
+  static async disable(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { code } = req.body;
+      const twoFactorAuth = await TwoFactorAuth.findEnabled(userId);
+      if (!twoFactorAuth) {
+        return serverResponse(res, 404, {
+          error: 'two-factor authentication is not enabled'
+        });
+      }
+      const lockedFor = await getAccountLock(userId);
+      if (lockedFor) return lockedResponse(res, lockedFor);
+      if (!(await verifySecondFactor(twoFactorAuth, code))) {
+        const lockedNow = await recordLoginFailure(req.user);
+        if (lockedNow) return lockedResponse(res, lockedNow);
+        return serverResponse(res, 400, {
+          error: 'invalid authentication code'
+        });
+      }
+
+      await clearLoginFailures(userId);
+      await RecoveryCode.destroy({ where: { userId } });
+      await twoFactorAuth.destroy();
+      return serverResponse(res, 200, {
+        message: 'two-factor authentication disabled'
+      });
+    } catch (error) {
+      return serverError(res);
+    }
+  }
+}
+
+export default TwoFactor;
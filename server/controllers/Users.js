@@ -5,7 +5,7 @@ import {
   serverResponse,
   serverError,
   generateToken,
-  expiryDate,
+  startSession,
   getUserAgent,
   sendVerificationEmail,
   sendResetPasswordEmail,
@@ -50,21 +50,19 @@ class Users {
 
       const { devicePlatform, userAgent } = getUserAgent(req);
       const { id } = user;
-      const token = generateToken({ id }, '24h');
-      const expiresAt = expiryDate(devicePlatform);
-
-      await Session.create({
+      const { token, refreshToken } = await startSession({
         userId: id,
-        token,
-        expiresAt,
         userAgent,
         ipAddress: req.ip,
         devicePlatform
       });
 
       res.set('Authorization', token);
-      sendVerificationEmail({ ...user.dataValues, token });
-      return userResponse(res, 201, user, token);
+      sendVerificationEmail({
+        ...user.dataValues,
+        token: generateToken({ id }, '24h')
+      });
+      return userResponse(res, 201, user, token, refreshToken);
     } catch (error) {
       return serverError(res);
     }
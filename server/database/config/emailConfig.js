@@ -0,0 +1,27 @@
+import { config } from 'dotenv';
+
+config();
+
+const { env } = process;
+
+const emailConfig = {
+  transport:
+    env.EMAIL_TRANSPORT || (env.NODE_ENV === 'test' ? 'outbox' : 'sendgrid'),
+  from: env.EMAIL_FROM || 'Authors Haven <authorshaven-help@authorshaven.com>',
+  maxAttempts: Number(env.EMAIL_MAX_ATTEMPTS) || 3,
+  sendgrid: {
+    apiKey: env.SENDGRID_API_KEY
+  },
+  smtp: {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    password: env.SMTP_PASSWORD
+  },
+  outbox: {
+    directory: env.EMAIL_OUTBOX_DIR
+  }
+};
+
+export default emailConfig;
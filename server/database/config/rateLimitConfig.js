@@ -0,0 +1,31 @@
+import { config } from 'dotenv';
+
+config();
+
+const { env } = process;
+const minute = 60 * 1000;
+const hour = 60 * minute;
+
+const rateLimitConfig = {
+  enabled: env.RATE_LIMIT_ENABLED
+    ? env.RATE_LIMIT_ENABLED === 'true'
+    : env.NODE_ENV !== 'test',
+  login: {
+    ip: { max: 20, windowMs: 15 * minute }
+  },
+  resetPassword: {
+    ip: { max: 10, windowMs: hour },
+    account: { max: 3, windowMs: hour }
+  },
+  verificationEmail: {
+    ip: { max: 10, windowMs: hour },
+    account: { max: 3, windowMs: hour }
+  },
+  lockout: {
+    maxFailures: Number(env.LOCKOUT_MAX_FAILURES) || 5,
+    windowMs: 15 * minute,
+    lockMs: (Number(env.LOCKOUT_MINUTES) || 15) * minute
+  }
+};
+
+export default rateLimitConfig;
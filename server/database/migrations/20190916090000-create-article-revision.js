@@ -0,0 +1,60 @@
+/* eslint-disable max-len */
+export default {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('ArticleRevisions', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    articleId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      onDelete: 'CASCADE',
+      references: {
+        model: 'Articles',
+        key: 'id'
+      }
+    },
+    editorId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      onDelete: 'CASCADE',
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    revision: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: Sequelize.STRING
+    },
+    description: {
+      type: Sequelize.STRING(500)
+    },
+    articleBody: {
+      type: Sequelize.TEXT
+    },
+    changedFields: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  })
+    .then(() => queryInterface.addIndex('ArticleRevisions', ['articleId', 'revision'], {
+      unique: true,
+      name: 'ArticleRevisions_article_revision'
+    })),
+  down: queryInterface => queryInterface.dropTable('ArticleRevisions')
+};
@@ -0,0 +1,11 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface.addColumn(
+    'Articles',
+    'deletedAt',
+    {
+      type: Sequelize.DATE,
+      allowNull: true
+    }
+  ),
+  down: queryInterface => queryInterface.removeColumn('Articles', 'deletedAt')
+};
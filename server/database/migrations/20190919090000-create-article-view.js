@@ -0,0 +1,47 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface
+    .createTable('ArticleViews', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      articleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        onDelete: 'CASCADE',
+        references: {
+          model: 'Articles',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        onDelete: 'SET NULL',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      viewerKey: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    })
+    .then(() => queryInterface.addIndex(
+      'ArticleViews',
+      ['articleId', 'viewerKey', 'createdAt'],
+      { name: 'ArticleViews_viewer_createdAt' }
+    )),
+  down: queryInterface => queryInterface.dropTable('ArticleViews')
+};
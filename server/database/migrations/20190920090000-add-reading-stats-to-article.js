@@ -0,0 +1,30 @@
+import readingStats from '../../helpers/readingStats';
+
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Articles', 'wordCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('Articles', 'readTimeMinutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    const [articles] = await queryInterface.sequelize.query(
+      'SELECT "id", "articleBody" FROM "Articles"'
+    );
+    await Promise.all(
+      articles.map(({ id, articleBody }) => queryInterface.bulkUpdate(
+        'Articles',
+        readingStats(articleBody),
+        { id }
+      ))
+    );
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Articles', 'readTimeMinutes');
+    await queryInterface.removeColumn('Articles', 'wordCount');
+  }
+};
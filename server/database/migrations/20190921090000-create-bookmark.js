@@ -0,0 +1,42 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface
+    .createTable('Bookmarks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Articles',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    })
+    .then(() => queryInterface.addIndex('Bookmarks', ['userId', 'articleId'], {
+      unique: true,
+      name: 'Bookmarks_user_article'
+    })),
+  down: queryInterface => queryInterface.dropTable('Bookmarks')
+};
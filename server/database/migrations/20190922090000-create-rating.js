@@ -0,0 +1,46 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface
+    .createTable('Ratings', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Articles',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      value: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    })
+    .then(() => queryInterface.addIndex('Ratings', ['userId', 'articleId'], {
+      unique: true,
+      name: 'Ratings_user_article'
+    })),
+  down: queryInterface => queryInterface.dropTable('Ratings')
+};
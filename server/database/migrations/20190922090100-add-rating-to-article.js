@@ -0,0 +1,18 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Articles', 'rating', {
+      type: Sequelize.DECIMAL(3, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('Articles', 'ratingsCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Articles', 'ratingsCount');
+    await queryInterface.removeColumn('Articles', 'rating');
+  }
+};
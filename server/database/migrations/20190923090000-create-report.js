@@ -0,0 +1,76 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('Reports', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    reporterId: {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    articleId: {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Articles',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    contentType: {
+      allowNull: false,
+      type: Sequelize.STRING
+    },
+    contentId: {
+      allowNull: false,
+      type: Sequelize.INTEGER
+    },
+    reason: {
+      allowNull: false,
+      type: Sequelize.ENUM('plagiarism', 'spam', 'abuse', 'other')
+    },
+    note: {
+      allowNull: true,
+      type: Sequelize.TEXT
+    },
+    status: {
+      allowNull: false,
+      type: Sequelize.ENUM('pending', 'resolved', 'dismissed', 'actioned'),
+      defaultValue: 'pending'
+    },
+    moderatorId: {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    closedAt: {
+      allowNull: true,
+      type: Sequelize.DATE
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: queryInterface => queryInterface
+    .dropTable('Reports')
+    .then(() => queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_Reports_reason"; '
+        + 'DROP TYPE IF EXISTS "enum_Reports_status";'
+    ))
+};
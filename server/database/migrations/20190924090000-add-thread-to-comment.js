@@ -0,0 +1,28 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Comments', 'parentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      onDelete: 'SET NULL',
+      references: {
+        model: 'Comments',
+        key: 'id'
+      }
+    });
+    await queryInterface.addColumn('Comments', 'repliesCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('Comments', 'isDeleted', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Comments', 'isDeleted');
+    await queryInterface.removeColumn('Comments', 'repliesCount');
+    await queryInterface.removeColumn('Comments', 'parentId');
+  }
+};
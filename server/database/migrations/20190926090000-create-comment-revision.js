@@ -0,0 +1,51 @@
+/* eslint-disable max-len */
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('CommentRevisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      commentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        onDelete: 'CASCADE',
+        references: {
+          model: 'Comments',
+          key: 'id'
+        }
+      },
+      revision: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      comment: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('CommentRevisions', ['commentId', 'revision'], {
+      unique: true,
+      name: 'CommentRevisions_comment_revision'
+    });
+    await queryInterface.addColumn('Comments', 'editsCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Comments', 'editsCount');
+    await queryInterface.dropTable('CommentRevisions');
+  }
+};
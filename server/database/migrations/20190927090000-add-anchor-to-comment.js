@@ -0,0 +1,17 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Comments', 'anchor', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Comments', 'isOrphaned', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Comments', 'isOrphaned');
+    await queryInterface.removeColumn('Comments', 'anchor');
+  }
+};
@@ -0,0 +1,63 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface
+    .createTable('Mentions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      mentionerId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Articles',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      contentType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      contentId: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    })
+    .then(() => queryInterface.addIndex(
+      'Mentions',
+      ['userId', 'contentType', 'contentId'],
+      {
+        unique: true,
+        name: 'Mentions_user_content'
+      }
+    )),
+  down: queryInterface => queryInterface.dropTable('Mentions')
+};
@@ -0,0 +1,67 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface
+    .createTable('Notifications', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      actorId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      articleId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Articles',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      commentId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Comments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      readAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    })
+    .then(() => queryInterface.addIndex('Notifications', ['userId', 'readAt'], {
+      name: 'Notifications_user_read'
+    })),
+  down: queryInterface => queryInterface.dropTable('Notifications')
+};
@@ -0,0 +1,68 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    const channel = {
+      allowNull: false,
+      type: Sequelize.STRING
+    };
+    await queryInterface.createTable('NotificationSettings', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      follow: { ...channel, defaultValue: 'inApp' },
+      comment: { ...channel, defaultValue: 'inApp' },
+      like: { ...channel, defaultValue: 'inApp' },
+      mention: { ...channel, defaultValue: 'both' },
+      article: { ...channel, defaultValue: 'inApp' },
+      digest: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: 'daily'
+      },
+      lastDigestAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addColumn('Notifications', 'inApp', {
+      allowNull: false,
+      type: Sequelize.BOOLEAN,
+      defaultValue: true
+    });
+    await queryInterface.addColumn('Notifications', 'email', {
+      allowNull: false,
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('Notifications', 'emailedAt', {
+      allowNull: true,
+      type: Sequelize.DATE
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Notifications', 'emailedAt');
+    await queryInterface.removeColumn('Notifications', 'email');
+    await queryInterface.removeColumn('Notifications', 'inApp');
+    await queryInterface.dropTable('NotificationSettings');
+  }
+};
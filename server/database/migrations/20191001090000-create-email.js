@@ -0,0 +1,57 @@
+export default {
+  up: (queryInterface, Sequelize) => queryInterface.createTable('Emails', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    to: {
+      allowNull: false,
+      type: Sequelize.STRING
+    },
+    subject: {
+      allowNull: false,
+      type: Sequelize.STRING
+    },
+    html: {
+      allowNull: false,
+      type: Sequelize.TEXT
+    },
+    transport: {
+      allowNull: false,
+      type: Sequelize.STRING
+    },
+    status: {
+      allowNull: false,
+      type: Sequelize.ENUM('queued', 'sent', 'failed'),
+      defaultValue: 'queued'
+    },
+    attempts: {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      defaultValue: 0
+    },
+    lastError: {
+      allowNull: true,
+      type: Sequelize.TEXT
+    },
+    sentAt: {
+      allowNull: true,
+      type: Sequelize.DATE
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  }),
+  down: queryInterface => queryInterface
+    .dropTable('Emails')
+    .then(() => queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_Emails_status";'
+    ))
+};
@@ -0,0 +1,24 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Sessions', 'refreshTokenHash', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    });
+    await queryInterface.addColumn('Sessions', 'familyId', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Sessions', 'rotatedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('Sessions', ['familyId']);
+  },
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Sessions', ['familyId']);
+    await queryInterface.removeColumn('Sessions', 'rotatedAt');
+    await queryInterface.removeColumn('Sessions', 'familyId');
+    await queryInterface.removeColumn('Sessions', 'refreshTokenHash');
+  }
+};
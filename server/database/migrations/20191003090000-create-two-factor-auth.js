@@ -0,0 +1,67 @@
+export default {
+  up: async (queryInterface, Sequelize) => {
+    const userId = {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    };
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+    await queryInterface.createTable('TwoFactorAuths', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: { ...userId, unique: true },
+      secret: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      enabledAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      lastUsedStep: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+      },
+      ...timestamps
+    });
+    await queryInterface.createTable('RecoveryCodes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId,
+      codeHash: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      usedAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      ...timestamps
+    });
+  },
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('RecoveryCodes');
+    await queryInterface.dropTable('TwoFactorAuths');
+  }
+};
@@ -1,5 +1,6 @@
 import SequelizeSlugify from 'sequelize-slugify';
 import { Op } from 'sequelize';
+import { formatTag } from '../../helpers/tagHelpers';
 
 export default (sequelize, DataTypes) => {
   const Article = sequelize.define(
@@ -85,16 +86,37 @@ export default (sequelize, DataTypes) => {
           }
         }
       },
+      rating: {
+        type: DataTypes.DECIMAL(3, 2),
+        defaultValue: 0
+      },
+      ratingsCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      wordCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      readTimeMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
       publishedAt: {
         type: DataTypes.DATE,
         default: null
       },
+      publishAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+      },
       isArchived: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
       }
     },
-    {}
+    { paranoid: true }
   );
 
   Article.getSearchVector = () => '_search';
@@ -112,9 +134,11 @@ export default (sequelize, DataTypes) => {
       FROM (SELECT "Article"."id", "Article"."slug", "Article"."title", 
       "Article"."description", "Article"."image", "Article"."articleBody", 
       "Article"."likesCount", "Article"."dislikesCount", 
+      "Article"."wordCount", "Article"."readTimeMinutes",
       "Article"."publishedAt" FROM "Articles" AS "Article" WHERE 
       "${Article.getSearchVector()}" @@ plainto_tsquery('english', ${query})
       AND "Article"."isArchived" = false AND "Article"."publishedAt" IS NOT NULL
+      AND "Article"."deletedAt" IS NULL
       LIMIT ${limit} OFFSET ${offset}) 
       AS "Article" LEFT OUTER JOIN "Comments" AS "comments" 
       ON "Article"."id" = "comments"."articleId" LEFT OUTER JOIN
@@ -166,14 +190,69 @@ export default (sequelize, DataTypes) => {
     return { count: queryResult[1].rowCount, results: [results] };
   };
 
-  Article.findByPage = async (offset, limit, models) => {
+  Article.sortOrders = {
+    latest: [['publishedAt', 'DESC'], ['id', 'DESC']],
+    popular: [
+      [
+        sequelize.literal('"Article"."likesCount" - "Article"."dislikesCount"'),
+        'DESC'
+      ],
+      ['views', 'DESC'],
+      ['id', 'DESC']
+    ],
+    mostViewed: [['views', 'DESC'], ['id', 'DESC']],
+    mostLiked: [['likesCount', 'DESC'], ['id', 'DESC']],
+    shortest: [
+      ['readTimeMinutes', 'ASC'],
+      ['wordCount', 'ASC'],
+      ['id', 'DESC']
+    ],
+    longest: [
+      ['readTimeMinutes', 'DESC'],
+      ['wordCount', 'DESC'],
+      ['id', 'DESC']
+    ]
+  };
+
+  Article.rangeFilter = (min, max) => {
+    const range = {};
+    if (min !== undefined) range[Op.gte] = min;
+    if (max !== undefined) range[Op.lte] = max;
+    return Object.getOwnPropertySymbols(range).length ? range : null;
+  };
+
+  Article.listingFilter = (query) => {
+    const {
+      minReadTime, maxReadTime, from, to, tag
+    } = query;
+    const where = {};
+    const readTimeMinutes = Article.rangeFilter(minReadTime, maxReadTime);
+    const publishedAt = Article.rangeFilter(from, to);
+    if (readTimeMinutes) where.readTimeMinutes = readTimeMinutes;
+    if (publishedAt) where.publishedAt = publishedAt;
+    if (tag) {
+      const tagName = sequelize.escape(formatTag(tag));
+      where.id = {
+        [Op.in]: sequelize.literal(`(
+          SELECT "ArticleTags"."articleId" FROM "ArticleTags"
+          INNER JOIN "Tags" ON "Tags"."id" = "ArticleTags"."tagId"
+          WHERE "Tags"."name" = ${tagName}
+        )`)
+      };
+    }
+    return where;
+  };
+
+  Article.findByPage = async (offset, limit, models, query = {}) => {
+    const { category, author } = query;
     const { count, rows } = await Article.findAndCountAll({
       distinct: true,
       where: {
         isArchived: false,
-        publishedAt: {
-          [Op.ne]: null
-        }
+        [Op.and]: [
+          { publishedAt: { [Op.ne]: null } },
+          Article.listingFilter(query)
+        ]
       },
       attributes: [
         'slug',
@@ -181,13 +260,32 @@ export default (sequelize, DataTypes) => {
         'description',
         'image',
         'articleBody',
+        'authorId',
+        'categoryId',
         'likesCount',
         'dislikesCount',
+        'views',
+        'rating',
+        'ratingsCount',
+        'wordCount',
+        'readTimeMinutes',
         'publishedAt'
       ],
+      order: Article.sortOrders[query.sort] || Article.sortOrders.latest,
       limit,
       offset,
       include: [
+        {
+          model: models.User,
+          as: 'Author',
+          attributes: ['firstName', 'lastName', 'userName', 'avatarUrl'],
+          ...(author && { where: { userName: author } })
+        },
+        {
+          model: models.Category,
+          attributes: ['name'],
+          ...(category && { where: { name: category.toLowerCase() } })
+        },
         {
           model: models.Comment,
           as: 'comments',
@@ -217,6 +315,97 @@ export default (sequelize, DataTypes) => {
     return { count, results: rows };
   };
 
+  Article.findFeed = async (userId, { cursor, limit }, models) => {
+    const readerId = sequelize.escape(userId);
+    const where = {
+      isArchived: false,
+      authorId: { [Op.ne]: userId },
+      [Op.and]: [
+        { publishedAt: { [Op.ne]: null } },
+        {
+          [Op.or]: [
+            {
+              authorId: {
+                [Op.in]: sequelize.literal(`(
+                  SELECT "userId" FROM "UserFollowers"
+                  WHERE "followerId" = ${readerId}
+                )`)
+              }
+            },
+            {
+              categoryId: {
+                [Op.in]: sequelize.literal(`(
+                  SELECT "categoryId" FROM "UserCategory"
+                  WHERE "userId" = ${readerId}
+                )`)
+              }
+            }
+          ]
+        }
+      ]
+    };
+    if (cursor) {
+      where[Op.and].push({
+        [Op.or]: [
+          { publishedAt: { [Op.lt]: cursor.publishedAt } },
+          { publishedAt: cursor.publishedAt, id: { [Op.lt]: cursor.id } }
+        ]
+      });
+    }
+    const articles = await Article.findAll({
+      where,
+      attributes: [
+        'id',
+        'slug',
+        'title',
+        'description',
+        'image',
+        'authorId',
+        'categoryId',
+        'likesCount',
+        'dislikesCount',
+        'views',
+        'rating',
+        'ratingsCount',
+        'wordCount',
+        'readTimeMinutes',
+        'publishedAt'
+      ],
+      order: [['publishedAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      include: [
+        {
+          model: models.User,
+          as: 'Author',
+          attributes: ['firstName', 'lastName', 'userName', 'avatarUrl']
+        },
+        { model: models.Category, attributes: ['name'] },
+        {
+          model: models.Tag,
+          as: 'tags',
+          attributes: ['name'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+    return articles;
+  };
+
+  Article.publishScheduled = async (now = new Date()) => {
+    const [, publishedArticles] = await Article.update(
+      { publishedAt: sequelize.col('publishAt'), publishAt: null },
+      {
+        where: {
+          isArchived: false,
+          publishedAt: null,
+          publishAt: { [Op.lte]: now }
+        },
+        returning: true
+      }
+    );
+    return publishedArticles;
+  };
+
   Article.findById = async (id) => {
     const article = await Article.findOne({ where: { id } });
     return article;
@@ -228,6 +417,12 @@ export default (sequelize, DataTypes) => {
     return null;
   };
 
+  Article.findReadableBySlug = async (slug) => {
+    const article = await Article.findBySlug(slug);
+    if (!article || article.isArchived || !article.publishedAt) return null;
+    return article;
+  };
+
   Article.associate = (models) => {
     Article.belongsTo(models.User, {
       foreignKey: 'authorId',
@@ -262,6 +457,22 @@ export default (sequelize, DataTypes) => {
         contentType: 'article'
       }
     });
+    Article.hasMany(models.ArticleRevision, {
+      foreignKey: 'articleId',
+      as: 'revisions'
+    });
+    Article.hasMany(models.ArticleView, {
+      foreignKey: 'articleId',
+      as: 'viewRecords'
+    });
+    Article.hasMany(models.Bookmark, {
+      foreignKey: 'articleId',
+      as: 'bookmarks'
+    });
+    Article.hasMany(models.Rating, {
+      foreignKey: 'articleId',
+      as: 'ratings'
+    });
     Article.belongsTo(models.Category, {
       foreignKey: 'categoryId',
       onUpdate: 'CASCADE',
@@ -0,0 +1,132 @@
+export default (sequelize, DataTypes) => {
+  const ArticleRevision = sequelize.define(
+    'ArticleRevision',
+    {
+      articleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          isInt: {
+            msg: 'articleId must be an integer'
+          }
+        }
+      },
+      editorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          isInt: {
+            msg: 'editorId must be an integer'
+          }
+        }
+      },
+      revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: {
+            args: [1],
+            msg: 'revision number must not be less than 1'
+          }
+        }
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      description: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      articleBody: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      changedFields: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: []
+      }
+    },
+    {
+      hooks: {
+        beforeUpdate: () => {
+          throw new Error('article revisions cannot be modified');
+        },
+        beforeBulkUpdate: () => {
+          throw new Error('article revisions cannot be modified');
+        }
+      }
+    }
+  );
+
+  ArticleRevision.trackedFields = ['title', 'description', 'articleBody'];
+
+  ArticleRevision.getChangedFields = (article, changes) => {
+    const { trackedFields } = ArticleRevision;
+    return trackedFields.filter(
+      field => changes[field] !== undefined && changes[field] !== article[field]
+    );
+  };
+
+  ArticleRevision.record = async (
+    article,
+    editorId,
+    changedFields,
+    outerTransaction
+  ) => {
+    const { title, description, articleBody } = article;
+    /**
+     * @name recordRevision
+     * @param {Object} transaction transaction the revision is saved in
+     * @returns {Object} the saved revision
+     */
+    const recordRevision = async (transaction) => {
+      await sequelize.models.Article.findByPk(article.id, {
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const latestRevision = await ArticleRevision.max('revision', {
+        where: { articleId: article.id },
+        transaction
+      });
+      return ArticleRevision.create(
+        {
+          articleId: article.id,
+          editorId,
+          revision: (latestRevision || 0) + 1,
+          title,
+          description,
+          articleBody,
+          changedFields
+        },
+        { transaction }
+      );
+    };
+    if (outerTransaction) return recordRevision(outerTransaction);
+    return sequelize.transaction(recordRevision);
+  };
+
+  ArticleRevision.findByNumber = async (articleId, revision) => {
+    const articleRevision = await ArticleRevision.findOne({
+      where: { articleId, revision }
+    });
+    if (articleRevision) return articleRevision;
+    return null;
+  };
+
+  ArticleRevision.associate = (models) => {
+    ArticleRevision.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+    ArticleRevision.belongsTo(models.User, {
+      foreignKey: 'editorId',
+      as: 'editor',
+      onDelete: 'CASCADE'
+    });
+  };
+  return ArticleRevision;
+};
@@ -0,0 +1,101 @@
+import { Op } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  const ArticleView = sequelize.define('ArticleView', {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'articleId must be an integer'
+        }
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    viewerKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  });
+
+  ArticleView.dedupWindow = 30 * 60 * 1000;
+
+  ArticleView.record = async (article, viewerKey, userId = null) => {
+    const created = await sequelize.transaction(async (transaction) => {
+      await sequelize.models.Article.findByPk(article.id, {
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const recentView = await ArticleView.findOne({
+        where: {
+          articleId: article.id,
+          viewerKey,
+          createdAt: {
+            [Op.gt]: new Date(Date.now() - ArticleView.dedupWindow)
+          }
+        },
+        transaction
+      });
+      if (recentView) return false;
+      await ArticleView.create(
+        { articleId: article.id, viewerKey, userId },
+        { transaction }
+      );
+      await sequelize.models.Article.increment('views', {
+        where: { id: article.id },
+        transaction
+      });
+      return true;
+    });
+    return created;
+  };
+
+  ArticleView.getStats = async (articleId) => {
+    const uniqueReaders = await ArticleView.count({
+      where: { articleId },
+      distinct: true,
+      col: 'viewerKey'
+    });
+    const daily = await ArticleView.findAll({
+      where: { articleId },
+      attributes: [
+        [sequelize.fn('date_trunc', 'day', sequelize.col('createdAt')), 'day'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'views'],
+        [
+          sequelize.fn(
+            'COUNT',
+            sequelize.fn('DISTINCT', sequelize.col('viewerKey'))
+          ),
+          'uniqueReaders'
+        ]
+      ],
+      group: ['day'],
+      order: [[sequelize.literal('day'), 'ASC']],
+      raw: true
+    });
+    const timeSeries = daily.map(({ day, views, uniqueReaders: readers }) => ({
+      date: new Date(day).toISOString().slice(0, 10),
+      views: Number(views),
+      uniqueReaders: Number(readers)
+    }));
+    return { uniqueReaders, timeSeries };
+  };
+
+  ArticleView.associate = (models) => {
+    ArticleView.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+    ArticleView.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'viewer',
+      onDelete: 'SET NULL'
+    });
+  };
+  return ArticleView;
+};
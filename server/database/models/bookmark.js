@@ -0,0 +1,41 @@
+export default (sequelize, DataTypes) => {
+  const Bookmark = sequelize.define('Bookmark', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'articleId must be an integer'
+        }
+      }
+    }
+  });
+
+  Bookmark.isBookmarked = async (userId, articleId) => {
+    const bookmark = await Bookmark.findOne({ where: { userId, articleId } });
+    return !!bookmark;
+  };
+
+  Bookmark.associate = (models) => {
+    Bookmark.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+    Bookmark.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+  };
+  return Bookmark;
+};
@@ -28,7 +28,9 @@ export default (sequelize, DataTypes) => {
       "Articles"."description" AS "description", "Articles"."image" 
       AS "image", "Articles"."articleBody" AS "articleBody", 
       "Articles"."likesCount" AS "likesCount", "Articles"."dislikesCount" 
-      AS "dislikesCount", "Articles"."publishedAt" AS "publishedAt", 
+      AS "dislikesCount", "Articles"."wordCount" AS "wordCount",
+      "Articles"."readTimeMinutes" AS "readTimeMinutes",
+      "Articles"."publishedAt" AS "publishedAt", 
       "Articles->Author"."firstName" AS "firstName", 
       "Articles->Author"."lastName" AS "lastName", 
       "Articles->Author"."userName" AS "userName",
@@ -38,7 +40,9 @@ export default (sequelize, DataTypes) => {
       "${Category.getSearchVector()}" @@ plainto_tsquery('english', ${query}) 
       LIMIT ${limit} OFFSET ${offset}) 
       AS "Category" LEFT OUTER JOIN "Articles" AS "Articles" 
-      ON "Category"."id" = "Articles"."categoryId" LEFT OUTER JOIN "Users" 
+      ON "Category"."id" = "Articles"."categoryId"
+      AND "Articles"."isArchived" = false AND "Articles"."deletedAt" IS NULL
+      AND "Articles"."publishedAt" IS NOT NULL LEFT OUTER JOIN "Users" 
       AS "Articles->Author" ON "Articles"."authorId" = "Articles->Author"."id"
       `
     );
@@ -57,6 +61,8 @@ export default (sequelize, DataTypes) => {
           image: item.image,
           likesCount: item.likesCount,
           dislikesCount: item.dislikesCount,
+          wordCount: item.wordCount,
+          readTimeMinutes: item.readTimeMinutes,
           publishedAt: item.publishedAt,
           author: {
             firstName: item.firstName,
@@ -76,6 +82,8 @@ export default (sequelize, DataTypes) => {
         'image',
         'likesCount',
         'dislikesCount',
+        'wordCount',
+        'readTimeMinutes',
         'publishedAt',
         'firstName',
         'lastName',
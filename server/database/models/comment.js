@@ -1,14 +1,22 @@
+import { Op } from 'sequelize';
+import { relocateAnchor } from '../../helpers/anchorHelpers';
+
 export default (sequelize, DataTypes) => {
   const Comment = sequelize.define(
     'Comment',
     {
       comment: {
         type: DataTypes.TEXT,
-        allowNull: false,
+        allowNull: true,
         validate: {
           len: {
             args: [2, 5000],
             msg: 'comment must be text between 2 and 5000 chars long'
+          },
+          isPresent(value) {
+            if (value == null && !this.isDeleted) {
+              throw new Error('Comment.comment cannot be null');
+            }
           }
         }
       },
@@ -31,10 +39,166 @@ export default (sequelize, DataTypes) => {
             msg: 'userId must be an integer'
           }
         }
+      },
+
+      parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+
+      repliesCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        validate: {
+          min: {
+            args: [0],
+            msg: 'replies count must not be less than 0'
+          }
+        }
+      },
+
+      isDeleted: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      },
+
+      likesCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        validate: {
+          min: {
+            args: [0],
+            msg: 'comment likes count must not be less than 0'
+          }
+        }
+      },
+
+      dislikesCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        validate: {
+          min: {
+            args: [0],
+            msg: 'comment dislikes count must not be less than 0'
+          }
+        }
+      },
+
+      editsCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        validate: {
+          min: {
+            args: [0],
+            msg: 'comment edits count must not be less than 0'
+          }
+        }
+      },
+
+      anchor: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+
+      isOrphaned: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      },
+
+      edited: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.getDataValue('editsCount') > 0;
+        }
       }
     },
     {}
   );
+
+  Comment.sortOrders = {
+    newest: [['createdAt', 'DESC'], ['id', 'DESC']],
+    oldest: [['createdAt', 'ASC'], ['id', 'ASC']],
+    top: [
+      [
+        sequelize.literal('"Comment"."likesCount" - "Comment"."dislikesCount"'),
+        'DESC'
+      ],
+      ['likesCount', 'DESC'],
+      ['createdAt', 'ASC'],
+      ['id', 'ASC']
+    ]
+  };
+
+  Comment.remove = async (comment) => {
+    await sequelize.models.Mention.destroy({
+      where: { contentType: 'comment', contentId: comment.id }
+    });
+    if (comment.repliesCount > 0) {
+      await sequelize.models.CommentRevision.destroy({
+        where: { commentId: comment.id }
+      });
+      await comment.update({ comment: null, isDeleted: true });
+      return;
+    }
+    const { Like, Dislike } = sequelize.models;
+    const reactionFilter = {
+      where: { contentType: 'comment', contentId: comment.id }
+    };
+    await Like.destroy(reactionFilter);
+    await Dislike.destroy(reactionFilter);
+    await comment.destroy();
+    if (!comment.parentId) return;
+
+    const parent = await Comment.findByPk(comment.parentId);
+    if (!parent) return;
+    await parent.decrement('repliesCount');
+    await parent.reload();
+    if (parent.isDeleted && parent.repliesCount < 1) {
+      await Comment.remove(parent);
+    }
+  };
+
+  Comment.getReactions = async (userId, commentIds) => {
+    const { Like, Dislike } = sequelize.models;
+    const filter = {
+      attributes: ['contentId'],
+      where: { userId, contentType: 'comment', contentId: commentIds }
+    };
+    const likes = await Like.findAll(filter);
+    const dislikes = await Dislike.findAll(filter);
+    const reactions = {};
+    likes.forEach(({ contentId }) => {
+      reactions[contentId] = 'like';
+    });
+    dislikes.forEach(({ contentId }) => {
+      reactions[contentId] = 'dislike';
+    });
+    return reactions;
+  };
+
+  Comment.findHighlights = async (articleId, options = {}) => {
+    const highlights = await Comment.findAll({
+      ...options,
+      where: { articleId, parentId: null, anchor: { [Op.ne]: null } }
+    });
+    return highlights.sort(
+      (a, b) => a.isOrphaned - b.isOrphaned || a.anchor.start - b.anchor.start
+    );
+  };
+
+  Comment.reanchor = async (articleId, articleBody) => {
+    const highlights = await Comment.findAll({
+      where: { articleId, anchor: { [Op.ne]: null } }
+    });
+    await Promise.all(
+      highlights.map((highlight) => {
+        const anchor = relocateAnchor(highlight.anchor, articleBody);
+        if (!anchor) return highlight.update({ isOrphaned: true });
+        return highlight.update({ anchor, isOrphaned: false });
+      })
+    );
+  };
+
   Comment.associate = (models) => {
     Comment.belongsTo(models.User, {
       foreignKey: 'userId',
@@ -47,6 +211,39 @@ export default (sequelize, DataTypes) => {
       as: 'article',
       onDelete: 'CASCADE'
     });
+
+    Comment.belongsTo(models.Comment, {
+      foreignKey: 'parentId',
+      as: 'parent',
+      onDelete: 'SET NULL'
+    });
+
+    Comment.hasMany(models.Comment, {
+      foreignKey: 'parentId',
+      as: 'replies'
+    });
+
+    Comment.hasMany(models.CommentRevision, {
+      foreignKey: 'commentId',
+      as: 'revisions',
+      onDelete: 'CASCADE'
+    });
+
+    Comment.hasMany(models.Like, {
+      foreignKey: 'contentId',
+      as: 'likes',
+      scope: {
+        contentType: 'comment'
+      }
+    });
+
+    Comment.hasMany(models.Dislike, {
+      foreignKey: 'contentId',
+      as: 'dislikes',
+      scope: {
+        contentType: 'comment'
+      }
+    });
   };
   return Comment;
 };
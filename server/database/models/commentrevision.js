@@ -0,0 +1,74 @@
+export default (sequelize, DataTypes) => {
+  const CommentRevision = sequelize.define(
+    'CommentRevision',
+    {
+      commentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          isInt: {
+            msg: 'commentId must be an integer'
+          }
+        }
+      },
+      revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: {
+            args: [1],
+            msg: 'revision number must not be less than 1'
+          }
+        }
+      },
+      comment: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      }
+    },
+    {
+      hooks: {
+        beforeUpdate: () => {
+          throw new Error('comment revisions cannot be modified');
+        },
+        beforeBulkUpdate: () => {
+          throw new Error('comment revisions cannot be modified');
+        }
+      }
+    }
+  );
+
+  CommentRevision.record = async (comment, outerTransaction) => {
+    /**
+     * @name recordRevision
+     * @param {Object} transaction transaction the revision is saved in
+     * @returns {Object} the saved revision
+     */
+    const recordRevision = async (transaction) => {
+      const lockedComment = await sequelize.models.Comment.findByPk(
+        comment.id,
+        {
+          attributes: ['id', 'comment'],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        }
+      );
+      const latestRevision = await CommentRevision.max('revision', {
+        where: { commentId: comment.id },
+        transaction
+      });
+      return CommentRevision.create(
+        {
+          commentId: comment.id,
+          revision: (latestRevision || 0) + 1,
+          comment: lockedComment.comment
+        },
+        { transaction }
+      );
+    };
+    if (outerTransaction) return recordRevision(outerTransaction);
+    return sequelize.transaction(recordRevision);
+  };
+
+  return CommentRevision;
+};
@@ -0,0 +1,77 @@
+import { Op } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  const Email = sequelize.define('Email', {
+    to: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: 'to must be an email address'
+        }
+      }
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    html: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    transport: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  Email.statuses = ['queued', 'sent', 'failed'];
+
+  Email.recordAttempt = async (email, error, maxAttempts) => {
+    const attempts = email.attempts + 1;
+    if (!error) {
+      return email.update({
+        attempts,
+        status: 'sent',
+        lastError: null,
+        sentAt: new Date()
+      });
+    }
+    return email.update({
+      attempts,
+      status: attempts >= maxAttempts ? 'failed' : 'queued',
+      lastError: error.message || String(error)
+    });
+  };
+
+  Email.findRetryable = async () => {
+    const emails = await Email.findAll({
+      where: {
+        status: 'queued',
+        attempts: { [Op.gt]: 0 }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+    return emails;
+  };
+
+  return Email;
+};
@@ -0,0 +1,106 @@
+export default (sequelize, DataTypes) => {
+  const Mention = sequelize.define('Mention', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    mentionerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'mentionerId must be an integer'
+        }
+      }
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'articleId must be an integer'
+        }
+      }
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['article', 'comment']],
+          msg: 'contentType must be either article or comment'
+        }
+      }
+    },
+    contentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'contentId must be an integer'
+        }
+      }
+    }
+  });
+
+  Mention.record = async (content, userNames) => {
+    const { User } = sequelize.models;
+    const { mentionerId, contentType, contentId } = content;
+    const users = await Promise.all(userNames.map(User.findByUsername));
+    const mentionedUsers = users.filter(
+      user => user && user.id !== mentionerId
+    );
+    const newlyMentioned = await Promise.all(
+      mentionedUsers.map(async (user) => {
+        const [, created] = await Mention.findOrCreate({
+          where: { userId: user.id, contentType, contentId },
+          defaults: content
+        });
+        return created ? user : null;
+      })
+    );
+    return newlyMentioned.filter(user => user);
+  };
+
+  Mention.findUserNames = async (contentType, contentIds) => {
+    const mentions = await Mention.findAll({
+      attributes: ['contentId'],
+      where: { contentType, contentId: contentIds },
+      include: [
+        {
+          model: sequelize.models.User,
+          as: 'user',
+          attributes: ['userName']
+        }
+      ]
+    });
+    return mentions.reduce((userNames, { contentId, user }) => {
+      userNames[contentId] = [...(userNames[contentId] || []), user.userName];
+      return userNames;
+    }, {});
+  };
+
+  Mention.associate = (models) => {
+    Mention.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+    Mention.belongsTo(models.User, {
+      foreignKey: 'mentionerId',
+      as: 'mentioner',
+      onDelete: 'CASCADE'
+    });
+    Mention.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+  };
+  return Mention;
+};
@@ -0,0 +1,87 @@
+export default (sequelize, DataTypes) => {
+  const Notification = sequelize.define('Notification', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['follow', 'comment', 'like', 'mention', 'article']],
+          msg: 'type must be one of follow, comment, like, mention, article'
+        }
+      }
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    commentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    inApp: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    email: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    emailedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  Notification.countUnread = userId => Notification.count({
+    where: { userId, inApp: true, readAt: null }
+  });
+
+  Notification.markAllRead = async (userId) => {
+    const [updatedCount] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId, inApp: true, readAt: null } }
+    );
+    return updatedCount;
+  };
+
+  Notification.associate = (models) => {
+    Notification.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+    Notification.belongsTo(models.User, {
+      foreignKey: 'actorId',
+      as: 'actor',
+      onDelete: 'CASCADE'
+    });
+    Notification.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+    Notification.belongsTo(models.Comment, {
+      foreignKey: 'commentId',
+      as: 'comment',
+      onDelete: 'CASCADE'
+    });
+  };
+  return Notification;
+};
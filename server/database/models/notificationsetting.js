@@ -0,0 +1,108 @@
+const channels = ['inApp', 'email', 'both', 'none'];
+const digestFrequencies = { daily: 1, weekly: 7 };
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * @name channelField
+ * @param {Object} DataTypes sequelize data types
+ * @param {String} defaultValue channel used when the user has not chosen
+ * @returns {Object} definition of a notification channel column
+ */
+const channelField = (DataTypes, defaultValue) => ({
+  type: DataTypes.STRING,
+  allowNull: false,
+  defaultValue,
+  validate: {
+    isIn: {
+      args: [channels],
+      msg: `channel must be one of ${channels.join(', ')}`
+    }
+  }
+});
+
+export default (sequelize, DataTypes) => {
+  const NotificationSetting = sequelize.define('NotificationSetting', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    follow: channelField(DataTypes, 'inApp'),
+    comment: channelField(DataTypes, 'inApp'),
+    like: channelField(DataTypes, 'inApp'),
+    mention: channelField(DataTypes, 'both'),
+    article: channelField(DataTypes, 'inApp'),
+    digest: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'daily',
+      validate: {
+        isIn: {
+          args: [Object.keys(digestFrequencies)],
+          msg: 'digest must be either daily or weekly'
+        }
+      }
+    },
+    lastDigestAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  NotificationSetting.eventTypes = [
+    'follow',
+    'comment',
+    'like',
+    'mention',
+    'article'
+  ];
+  NotificationSetting.channels = channels;
+  NotificationSetting.digestFrequencies = Object.keys(digestFrequencies);
+
+  NotificationSetting.forUser = async (userId) => {
+    const [setting] = await NotificationSetting.findOrCreate({
+      where: { userId }
+    });
+    return setting;
+  };
+
+  NotificationSetting.forUsers = async (userIds) => {
+    const settings = await NotificationSetting.findAll({
+      where: { userId: userIds }
+    });
+    return userIds.reduce((settingsByUser, userId) => {
+      settingsByUser[userId] = settings.find(
+        setting => setting.userId === userId
+      ) || NotificationSetting.build({ userId });
+      return settingsByUser;
+    }, {});
+  };
+
+  NotificationSetting.deliveryFor = (setting, type) => {
+    const channel = setting[type] || 'inApp';
+    return {
+      inApp: ['inApp', 'both'].includes(channel),
+      email: ['email', 'both'].includes(channel)
+    };
+  };
+
+  NotificationSetting.isDigestDue = (setting, now) => {
+    if (!setting.lastDigestAt) return true;
+    const interval = digestFrequencies[setting.digest] * day;
+    return now - new Date(setting.lastDigestAt) >= interval;
+  };
+
+  NotificationSetting.associate = (models) => {
+    NotificationSetting.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+  return NotificationSetting;
+};
@@ -0,0 +1,78 @@
+export default (sequelize, DataTypes) => {
+  const Rating = sequelize.define('Rating', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'articleId must be an integer'
+        }
+      }
+    },
+    value: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'rating must not be less than 1'
+        },
+        max: {
+          args: [5],
+          msg: 'rating must not be more than 5'
+        }
+      }
+    }
+  });
+
+  Rating.updateArticleRating = async (articleId) => {
+    const id = sequelize.escape(articleId);
+    await sequelize.models.Article.update(
+      {
+        rating: sequelize.literal(`COALESCE((
+          SELECT ROUND(AVG("value"), 2) FROM "Ratings" WHERE "articleId" = ${id}
+        ), 0)`),
+        ratingsCount: sequelize.literal(`(
+          SELECT COUNT(*) FROM "Ratings" WHERE "articleId" = ${id}
+        )`)
+      },
+      { where: { id: articleId } }
+    );
+  };
+
+  Rating.getBreakdown = async (articleId) => {
+    const counts = await Rating.count({
+      where: { articleId },
+      attributes: ['value'],
+      group: ['value']
+    });
+    return [1, 2, 3, 4, 5].reduce((breakdown, star) => {
+      const starCount = counts.find(({ value }) => value === star);
+      breakdown[star] = starCount ? Number(starCount.count) : 0;
+      return breakdown;
+    }, {});
+  };
+
+  Rating.associate = (models) => {
+    Rating.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+    Rating.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+  };
+  return Rating;
+};
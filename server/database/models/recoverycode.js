@@ -0,0 +1,57 @@
+import bcrypt from 'bcryptjs';
+
+export default (sequelize, DataTypes) => {
+  const RecoveryCode = sequelize.define('RecoveryCode', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    codeHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  RecoveryCode.replaceFor = async (userId, codes) => {
+    const codeHashes = await Promise.all(
+      codes.map(code => bcrypt.hash(code, 10))
+    );
+    await RecoveryCode.destroy({ where: { userId } });
+    return RecoveryCode.bulkCreate(
+      codeHashes.map(codeHash => ({ userId, codeHash }))
+    );
+  };
+
+  RecoveryCode.redeem = async (userId, code) => {
+    const recoveryCodes = await RecoveryCode.findAll({
+      where: { userId, usedAt: null }
+    });
+    const recoveryCode = recoveryCodes.find(
+      ({ codeHash }) => bcrypt.compareSync(code, codeHash)
+    );
+    if (!recoveryCode) return false;
+    const [redeemedCount] = await RecoveryCode.update(
+      { usedAt: new Date() },
+      { where: { id: recoveryCode.id, usedAt: null } }
+    );
+    return redeemedCount === 1;
+  };
+
+  RecoveryCode.associate = (models) => {
+    RecoveryCode.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+  return RecoveryCode;
+};
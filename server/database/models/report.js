@@ -0,0 +1,98 @@
+export default (sequelize, DataTypes) => {
+  const Report = sequelize.define('Report', {
+    reporterId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'reporterId must be an integer'
+        }
+      }
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'articleId must be an integer'
+        }
+      }
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['article', 'comment']],
+          msg: 'content type must be either article or comment'
+        }
+      }
+    },
+    contentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('plagiarism', 'spam', 'abuse', 'other'),
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'resolved', 'dismissed', 'actioned'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    moderatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  Report.reasons = ['plagiarism', 'spam', 'abuse', 'other'];
+
+  Report.statuses = ['pending', 'resolved', 'dismissed', 'actioned'];
+
+  Report.close = async (report, status, moderatorId) => {
+    const closedReport = await report.update({
+      status,
+      moderatorId,
+      closedAt: new Date()
+    });
+    return closedReport;
+  };
+
+  Report.closePendingForContent = async (report, status, moderatorId) => {
+    const { contentType, contentId } = report;
+    const [closedCount] = await Report.update(
+      { status, moderatorId, closedAt: new Date() },
+      { where: { contentType, contentId, status: 'pending' } }
+    );
+    return closedCount;
+  };
+
+  Report.associate = (models) => {
+    Report.belongsTo(models.User, {
+      foreignKey: 'reporterId',
+      as: 'reporter',
+      onDelete: 'CASCADE'
+    });
+    Report.belongsTo(models.User, {
+      foreignKey: 'moderatorId',
+      as: 'moderator',
+      onDelete: 'SET NULL'
+    });
+    Report.belongsTo(models.Article, {
+      foreignKey: 'articleId',
+      as: 'article',
+      onDelete: 'CASCADE'
+    });
+  };
+  return Report;
+};
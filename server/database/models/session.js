@@ -1,3 +1,6 @@
+import { Op } from 'sequelize';
+import { hashToken } from '../../helpers/sessionTokens';
+
 export default (sequelize, DataTypes) => {
   const Session = sequelize.define('Session', {
     userId: {
@@ -45,6 +48,19 @@ export default (sequelize, DataTypes) => {
     userAgent: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      defaultValue: DataTypes.UUIDV4
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   });
   Session.findActiveSessionByToken = async (token) => {
@@ -63,5 +79,58 @@ export default (sequelize, DataTypes) => {
   Session.revokeAll = async (userId) => {
     await Session.update({ active: false }, { where: { userId } });
   };
+
+  Session.findActiveForUser = async (userId) => {
+    const sessions = await Session.findAll({
+      where: {
+        userId,
+        active: true,
+        expiresAt: { [Op.gt]: new Date(Date.now()) }
+      },
+      attributes: [
+        'id',
+        'devicePlatform',
+        'userAgent',
+        'ipAddress',
+        'createdAt',
+        'expiresAt'
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+    return sessions;
+  };
+
+  Session.revokeOthers = async (userId, currentSessionId) => {
+    const [revokedCount] = await Session.update(
+      { active: false },
+      {
+        where: {
+          userId,
+          active: true,
+          id: { [Op.ne]: currentSessionId }
+        }
+      }
+    );
+    return revokedCount;
+  };
+
+  Session.findByRefreshToken = async (refreshToken) => {
+    const session = await Session.findOne({
+      where: { refreshTokenHash: hashToken(refreshToken) }
+    });
+    return session;
+  };
+
+  Session.rotate = async (session) => {
+    const [rotatedCount] = await Session.update(
+      { active: false, rotatedAt: new Date() },
+      { where: { id: session.id, active: true, rotatedAt: null } }
+    );
+    return rotatedCount === 1;
+  };
+
+  Session.revokeFamily = async (familyId) => {
+    await Session.update({ active: false }, { where: { familyId } });
+  };
   return Session;
 };
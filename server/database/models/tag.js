@@ -29,7 +29,9 @@ export default (sequelize, DataTypes) => {
        "articles"."description" AS "description", "articles"."slug" 
        AS "slug", "articles"."image" AS "image", 
        "articles"."likesCount" AS "likesCount", "articles"."dislikesCount" 
-       AS "dislikesCount", "articles"."publishedAt" AS "publishedAt", 
+       AS "dislikesCount", "articles"."wordCount" AS "wordCount",
+       "articles"."readTimeMinutes" AS "readTimeMinutes",
+       "articles"."publishedAt" AS "publishedAt", 
        "articles->Author"."firstName" AS "firstName", 
        "articles->Author"."lastName" AS "lastName", 
        "articles->Author"."userName" AS "userName",
@@ -39,7 +41,9 @@ export default (sequelize, DataTypes) => {
        LIMIT ${limit} OFFSET ${offset}) AS "Tag" LEFT OUTER JOIN 
        ( "ArticleTags" AS "articles->ArticleTags" 
        INNER JOIN "Articles" AS "articles" ON 
-       "articles"."id" = "articles->ArticleTags"."articleId") ON 
+       "articles"."id" = "articles->ArticleTags"."articleId"
+       AND "articles"."isArchived" = false AND "articles"."deletedAt" IS NULL
+       AND "articles"."publishedAt" IS NOT NULL) ON 
        "Tag"."id" = "articles->ArticleTags"."tagId" LEFT OUTER JOIN "Users" 
        AS "articles->Author" ON "articles"."authorId" = "articles->Author"."id";
       `
@@ -59,6 +63,8 @@ export default (sequelize, DataTypes) => {
           image: item.image,
           likesCount: item.likesCount,
           dislikesCount: item.dislikesCount,
+          wordCount: item.wordCount,
+          readTimeMinutes: item.readTimeMinutes,
           publishedAt: item.publishedAt,
           author: {
             firstName: item.firstName,
@@ -78,6 +84,8 @@ export default (sequelize, DataTypes) => {
         'image',
         'likesCount',
         'dislikesCount',
+        'wordCount',
+        'readTimeMinutes',
         'publishedAt',
         'firstName',
         'lastName',
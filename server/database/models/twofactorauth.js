@@ -0,0 +1,59 @@
+import { Op } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  const TwoFactorAuth = sequelize.define('TwoFactorAuth', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      validate: {
+        isInt: {
+          msg: 'userId must be an integer'
+        }
+      }
+    },
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    enabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  });
+
+  TwoFactorAuth.findEnabled = async (userId) => {
+    const twoFactorAuth = await TwoFactorAuth.findOne({ where: { userId } });
+    if (twoFactorAuth && twoFactorAuth.enabledAt) return twoFactorAuth;
+    return null;
+  };
+
+  TwoFactorAuth.useStep = async (twoFactorAuth, step) => {
+    const [updatedCount] = await TwoFactorAuth.update(
+      { lastUsedStep: step },
+      {
+        where: {
+          id: twoFactorAuth.id,
+          [Op.or]: [
+            { lastUsedStep: null },
+            { lastUsedStep: { [Op.lt]: step } }
+          ]
+        }
+      }
+    );
+    return updatedCount === 1;
+  };
+
+  TwoFactorAuth.associate = (models) => {
+    TwoFactorAuth.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+  return TwoFactorAuth;
+};
@@ -215,6 +215,11 @@ export default (sequelize, DataTypes) => {
         {
           model: models.Article,
           as: 'articles',
+          required: false,
+          where: {
+            isArchived: false,
+            publishedAt: { [Op.ne]: null }
+          },
           attributes: [
             'slug',
             'title',
@@ -223,6 +228,8 @@ export default (sequelize, DataTypes) => {
             'articleBody',
             'likesCount',
             'dislikesCount',
+            'wordCount',
+            'readTimeMinutes',
             'publishedAt'
           ],
           include: [
@@ -277,6 +284,11 @@ export default (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'comment'
     });
+
+    User.hasMany(models.Bookmark, {
+      foreignKey: 'userId',
+      as: 'bookmarks'
+    });
   };
 
   return User;
@@ -21,6 +21,14 @@ export default (sequelize, DataTypes) => {
     },
     {}
   );
+  UserFollower.findFollowerIds = async (userId, followerIds) => {
+    const followers = await UserFollower.findAll({
+      attributes: ['followerId'],
+      where: { userId, followerId: followerIds }
+    });
+    return followers.map(({ followerId }) => followerId);
+  };
+
   UserFollower.associate = (models) => {
     UserFollower.belongsTo(models.User, {
       foreignKey: 'userId',
@@ -7,6 +7,8 @@ export default {
         title: 'How to train your dragon',
         description: 'Ever wonder how?',
         articleBody: 'It takes a Jacobian',
+        wordCount: 4,
+        readTimeMinutes: 1,
         authorId: 1,
         likesCount: 0,
         dislikesCount: 0,
@@ -20,6 +22,8 @@ export default {
         title: 'How to train your dragon 2',
         description: 'So toothless',
         articleBody: 'It is a dragon',
+        wordCount: 4,
+        readTimeMinutes: 1,
         authorId: 1,
         likesCount: 0,
         dislikesCount: 0,
@@ -33,6 +37,8 @@ export default {
         title: 'How to train your dragon 6',
         description: 'So toothless',
         articleBody: 'It is a dragon',
+        wordCount: 4,
+        readTimeMinutes: 1,
         authorId: 1,
         likesCount: 0,
         dislikesCount: 0,
@@ -50,6 +56,8 @@ export default {
             'http://res.cloudinary.com/teamrambo50/image/upload/v1565884519/fazaithupzfod35wxwys.png',
         articleBody:
             'dxrcftyugvihbjlnk;;;;;;;;;;jbihuvgycfvgubionpbivugcyftxdfcgvuhiboj',
+        wordCount: 1,
+        readTimeMinutes: 1,
         likesCount: 0,
         views: 36,
         categoryId: 5,
@@ -0,0 +1,67 @@
+import rateLimitConfig from '../database/config/rateLimitConfig';
+import { getRateLimitStore, retryAfterSeconds } from './rateLimiter';
+import emailTemplates from './emailTemplates';
+
+/**
+ * @name lockKey
+ * @param {Integer} userId id of the user
+ * @returns {String} key of the lock on the account of the user
+ */
+const lockKey = userId => `account-lock:${userId}`;
+
+/**
+ * @name failuresKey
+ * @param {Integer} userId id of the user
+ * @returns {String} key of the failed sign in count of the user
+ */
+const failuresKey = userId => `login-failures:${userId}`;
+
+/**
+ * @name getAccountLock
+ * @async
+ * @param {Integer} userId id of the user signing in
+ * @returns {(Number|null)} seconds until the account is unlocked, or null
+ * when it is not locked
+ */
+const getAccountLock = async (userId) => {
+  const lock = await getRateLimitStore().get(lockKey(userId));
+  return lock ? retryAfterSeconds(lock.resetAt) : null;
+};
+
+/**
+ * @name recordLoginFailure
+ * @async
+ * @description counts a failed sign in. The account is locked and its owner
+ * told by email once too many sign ins fail close together
+ * @param {Object} user the user whose sign in failed
+ * @returns {(Number|null)} seconds until the account is unlocked when this
+ * failure locked it, or null
+ */
+const recordLoginFailure = async (user) => {
+  const { maxFailures, windowMs, lockMs } = rateLimitConfig.lockout;
+  const store = getRateLimitStore();
+  const { count } = await store.increment(failuresKey(user.id), windowMs);
+  if (count < maxFailures) return null;
+
+  const resetAt = Date.now() + lockMs;
+  await store.set(lockKey(user.id), { count, resetAt });
+  await store.remove(failuresKey(user.id));
+  emailTemplates.sendAccountLockedEmail({
+    firstName: user.firstName,
+    email: user.email,
+    lockedUntil: new Date(resetAt)
+  });
+  return retryAfterSeconds(resetAt);
+};
+
+/**
+ * @name clearLoginFailures
+ * @async
+ * @param {Integer} userId id of the user that signed in
+ * @returns {Void} forgets the failed sign ins of the user
+ */
+const clearLoginFailures = userId => getRateLimitStore().remove(
+  failuresKey(userId)
+);
+
+export { getAccountLock, recordLoginFailure, clearLoginFailures };
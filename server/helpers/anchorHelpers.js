@@ -0,0 +1,36 @@
+/**
+ * @name anchorMatches
+ * @param {Object} anchor start/end offsets and the quoted text
+ * @param {String} articleBody body of the article
+ * @returns {Boolean} true if the quote is found at the anchor's offsets,
+ * false when the article has no body yet
+ */
+const anchorMatches = ({ start, end, quote }, articleBody) => (
+  !!articleBody && articleBody.slice(start, end) === quote
+);
+
+/**
+ * finds the quoted text of an anchor in an edited article body, picking
+ * the occurrence nearest to where the quote used to start
+ *
+ * @name relocateAnchor
+ * @param {Object} anchor start/end offsets and the quoted text
+ * @param {String} articleBody body of the article after the edit
+ * @returns {(Object|null)} the moved anchor or null if the quote is gone
+ */
+const relocateAnchor = (anchor, articleBody) => {
+  if (!articleBody) return null;
+  const { start, quote } = anchor;
+  let nearest = -1;
+  let index = articleBody.indexOf(quote);
+  while (index !== -1) {
+    if (nearest === -1 || Math.abs(index - start) < Math.abs(nearest - start)) {
+      nearest = index;
+    }
+    index = articleBody.indexOf(quote, index + 1);
+  }
+  if (nearest === -1) return null;
+  return { start: nearest, end: nearest + quote.length, quote };
+};
+
+export { anchorMatches, relocateAnchor };
@@ -0,0 +1,28 @@
+import models from '../database/models';
+import createScheduler from './scheduler';
+import { recordMentions } from './mentions';
+import { notifyFollowers } from './notifications';
+
+const { Article } = models;
+
+/**
+ * @name publishScheduledArticles
+ * @async
+ * @description publishes the articles that are due and runs what an author
+ * publishing an article runs: recording mentions and notifying followers
+ * @param {Date} now the current date
+ * @returns {Number} number of articles that were published
+ */
+const publishScheduledArticles = async (now) => {
+  const articles = await Article.publishScheduled(now);
+  await Promise.all(
+    articles.map(async (article) => {
+      const author = { id: article.authorId };
+      await recordMentions(author, article, 'article', article);
+      await notifyFollowers(article);
+    })
+  );
+  return articles.length;
+};
+
+export default createScheduler(publishScheduledArticles, { interval: 60000 });
@@ -1,9 +1,6 @@
 import models from '../database/models';
-import generateToken from './generateToken';
-import dateHelper from './dateHelper';
 
-const { User, Session } = models;
-const { expiryDate } = dateHelper;
+const { User } = models;
 /**
  * @name createSocialUser
  * @description function that creates a new user in via socialLogin
@@ -11,15 +8,7 @@ const { expiryDate } = dateHelper;
  * @returns { Object } value indicating if username exists
  */
 const createSocialUser = async (data) => {
-  const {
-    firstName,
-    lastName,
-    email,
-    ipAddress,
-    userAgent,
-    devicePlatform
-  } = data;
-  const expiresAt = expiryDate(devicePlatform);
+  const { firstName, lastName, email } = data;
   const users = await User.findOrCreate({
     where: { email },
     defaults: {
@@ -30,17 +19,6 @@ const createSocialUser = async (data) => {
     }
   });
   const result = { ...users[0].dataValues };
-  const { id } = result;
-  const token = generateToken({ id });
-  await Session.create({
-    userId: id,
-    token,
-    expiresAt,
-    userAgent,
-    ipAddress,
-    devicePlatform
-  });
-  result.token = token;
   return result;
 };
 export default createSocialUser;
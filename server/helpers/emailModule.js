@@ -1,32 +1,112 @@
-import sendGrid from '@sendgrid/mail';
-import { config } from 'dotenv';
+import Debug from 'debug';
+import models from '../database/models';
+import emailConfig from '../database/config/emailConfig';
+import { createTransport } from './emailTransports';
 
-config();
+const debug = Debug('dev');
 
-sendGrid.setApiKey(process.env.SENDGRID_API_KEY);
+const { Email } = models;
+
+let transport = createTransport(emailConfig);
+
+/**
+ * @name getEmailTransport
+ * @returns {Object} the transport emails are sent with
+ */
+const getEmailTransport = () => transport;
+
+/**
+ * @name useEmailTransport
+ * @param {Object} replacement transport with a name and a send function
+ * @returns {Object} the transport that was replaced
+ */
+const useEmailTransport = (replacement) => {
+  const previous = transport;
+  transport = replacement;
+  return previous;
+};
+
+/**
+ * @name redactSecrets
+ * @param {String} content html of the email
+ * @param {Array} secrets tokens in the email that must not be stored
+ * @returns {String} the html with every secret replaced
+ */
+const redactSecrets = (content, secrets) => secrets.reduce(
+  (html, secret) => html.split(secret).join('[redacted]'),
+  content
+);
+
+/**
+ * @name deliverEmail
+ * @async
+ * @description makes one attempt at sending a stored email and records
+ * whether it was sent, will be retried or has failed for good
+ * @param {Object} email the stored email
+ * @param {String} html content to send, when it differs from the stored one
+ * @param {Number} maxAttempts number of attempts before the email fails
+ * @returns {Object} the updated email
+ */
+const deliverEmail = async (
+  email,
+  html = email.html,
+  maxAttempts = emailConfig.maxAttempts
+) => {
+  let error = null;
+  try {
+    await transport.send({
+      to: email.to,
+      from: emailConfig.from,
+      subject: email.subject,
+      html
+    });
+  } catch (sendError) {
+    error = sendError;
+    debug(`email ${email.id} was not sent: ${sendError.message}`);
+  }
+  return Email.recordAttempt(email, error, maxAttempts);
+};
 
 /**
  * @name sendEmail
  * @async
- * @description function for sending emails to users
+ * @description function for sending emails to users. Every email is stored
+ * with its status so failed sends can be retried and inspected. Secrets such
+ * as sign in tokens are sent but never stored, so an email carrying them is
+ * not retried
  * @param {String} receiver email of recipient
  * @param {String} subject subject of email to be sent
  * @param {String} content text to be sent to user
- * @returns {Boolean} true for successful email sending or error on failure
+ * @param {Array} secrets tokens in the content that must not be stored
+ * @returns {Object} the stored email or the error when it could not be stored
  */
-const sendEmail = async (receiver, subject, content) => {
-  const data = {
-    to: receiver,
-    from: 'Authors Haven <authorshaven-help@authorshaven.com',
-    subject,
-    html: content
-  };
-
+const sendEmail = async (receiver, subject, content, secrets = []) => {
   try {
-    return sendGrid.send(data);
+    const email = await Email.create({
+      to: receiver,
+      subject,
+      html: redactSecrets(content, secrets),
+      transport: transport.name
+    });
+    if (!secrets.length) return await deliverEmail(email);
+    return await deliverEmail(email, content, 1);
   } catch (error) {
+    debug(`email could not be queued: ${error.message}`);
     return error;
   }
 };
 
+/**
+ * @name retryQueuedEmails
+ * @async
+ * @returns {Number} number of queued emails that were sent on this attempt
+ */
+const retryQueuedEmails = async () => {
+  const emails = await Email.findRetryable();
+  const results = await Promise.all(emails.map(email => deliverEmail(email)));
+  return results.filter(({ status }) => status === 'sent').length;
+};
+
+export { getEmailTransport, useEmailTransport, retryQueuedEmails };
+
 export default sendEmail;
@@ -0,0 +1,6 @@
+import createScheduler from './scheduler';
+import { retryQueuedEmails } from './emailModule';
+
+export default createScheduler(retryQueuedEmails, {
+  interval: 5 * 60 * 1000
+});
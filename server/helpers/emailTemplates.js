@@ -57,7 +57,7 @@ const sendVerificationEmail = (data) => {
   </body>
   </html>
 `;
-  return sendEmail(email, 'Verify Email', content);
+  return sendEmail(email, 'Verify Email', content, [token]);
 };
 
 /**
@@ -151,7 +151,99 @@ const sendResetPasswordEmail = (data) => {
   </body>
   
   </html>`;
-  return sendEmail(email, 'Reset Password', content);
+  return sendEmail(email, 'Reset Password', content, [token]);
 };
 
-export default { sendVerificationEmail, sendResetPasswordEmail };
+/**
+ * @name describeNotification
+ * @param {Object} notification notification with its actor and article
+ * @returns {String} sentence describing the notification
+ */
+const describeNotification = ({ type, actor, article }) => {
+  const actorName = actor ? actor.userName : 'Someone';
+  const title = article ? `<b>${article.title}</b>` : '';
+  const descriptions = {
+    follow: `${actorName} started following you`,
+    comment: `${actorName} commented on ${title}`,
+    like: `${actorName} liked ${title}`,
+    mention: `${actorName} mentioned you in ${title}`,
+    article: `${actorName} published ${title}`
+  };
+  return descriptions[type];
+};
+
+/**
+ * @name sendDigestEmail
+ * @param {Object} data object with user details, the digest frequency and
+ * the notifications to send
+ * @returns {Function} function that sends a notification digest to users
+ */
+const sendDigestEmail = (data) => {
+  const {
+    firstName, email, digest, notifications
+  } = data;
+  const items = notifications
+    .map(notification => `<li style="line-height: 26px">${
+      describeNotification(notification)
+    }</li>`)
+    .join('');
+  const content = `
+  <html>
+  <body style="font-family: Montserrat; font-style: normal; color: #505050">
+  <div style="margin: 0 7%">
+    <div><h1 style="font-weight: normal;font-size: 30px;color:#505050">
+      Authors <span style="color: #D7B914">Haven</span></h1></div>
+    <div style="border: 0.5px solid rgba(0, 0, 0, 0.1);width:100%"></div>
+    <div style="margin:0px 45px">
+      <p>Hi ${firstName},</p>
+      <p>Here is what happened since your last ${digest} digest:</p>
+      <ul>${items}</ul>
+      <a style="text-decoration: none;" href=${SERVER_URL}>
+        <button style="background: #505050; color: #ffffff; width: 205px;
+          height: 40px; display: block; margin:auto; margin-top:40px;
+          font-size:14px"> Visit Authors Haven</button></a>
+      <p style="margin:30px 0px">The Authors Haven Team</p>
+    </div>
+  </div>
+  </body>
+  </html>
+`;
+  return sendEmail(email, `Your ${digest} Authors Haven digest`, content);
+};
+
+/**
+ * @name sendAccountLockedEmail
+ * @param {Object} data object with user details and the time the account
+ * is locked until
+ * @returns {Function} function that tells users their account was locked
+ */
+const sendAccountLockedEmail = (data) => {
+  const { firstName, email, lockedUntil } = data;
+  const content = `
+  <html>
+  <body style="font-family: Montserrat; font-style: normal; color: #505050">
+  <div style="margin: 0 7%">
+    <div><h1 style="font-weight: normal;font-size: 30px;color:#505050">
+      Authors <span style="color: #D7B914">Haven</span></h1></div>
+    <div style="border: 0.5px solid rgba(0, 0, 0, 0.1);width:100%"></div>
+    <div style="margin:0px 45px">
+      <p>Hi ${firstName},</p>
+      <p>There were too many failed attempts to sign in to your account, so
+        we have locked it until ${lockedUntil.toUTCString()}.</p>
+      <p>If this was not you, reset your password once the account is
+        unlocked.</p>
+      <p style="margin:30px 0px">The Authors Haven Team</p>
+    </div>
+  </div>
+  </body>
+  </html>
+`;
+  return sendEmail(email, 'Your Authors Haven account is locked', content);
+};
+
+export default {
+  sendVerificationEmail,
+  sendResetPasswordEmail,
+  sendDigestEmail,
+  sendAccountLockedEmail
+};
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import sendGrid from '@sendgrid/mail';
+import nodemailer from 'nodemailer';
+
+/**
+ * @name createSendGridTransport
+ * @param {Object} options SendGrid api key
+ * @returns {Object} transport that sends emails through SendGrid
+ */
+const createSendGridTransport = ({ apiKey }) => {
+  sendGrid.setApiKey(apiKey);
+  return {
+    name: 'sendgrid',
+    send: message => sendGrid.send(message)
+  };
+};
+
+/**
+ * @name createSmtpTransport
+ * @param {Object} options host, port and credentials of the SMTP server
+ * @returns {Object} transport that sends emails through an SMTP server
+ */
+const createSmtpTransport = ({
+  host, port, secure, user, password
+}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+};
+
+/**
+ * @name createOutboxTransport
+ * @description keeps emails in memory instead of sending them, and also
+ * writes each one to a JSON file when a directory is given
+ * @param {Object} options directory to write the emails to
+ * @returns {Object} transport with the list of emails it was given
+ */
+const createOutboxTransport = ({ directory } = {}) => {
+  const messages = [];
+  return {
+    name: 'outbox',
+    messages,
+    send: async (message) => {
+      messages.push(message);
+      if (directory) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(directory, `${Date.now()}-${messages.length}.json`),
+          JSON.stringify(message, null, 2)
+        );
+      }
+      return message;
+    },
+    clear: () => messages.splice(0, messages.length)
+  };
+};
+
+const transports = {
+  sendgrid: createSendGridTransport,
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+/**
+ * @name createTransport
+ * @param {Object} config email config with the name of the transport to use
+ * and the options of each transport
+ * @returns {Object} the transport chosen in the config
+ */
+const createTransport = (config) => {
+  const factory = transports[config.transport];
+  if (!factory) {
+    throw new Error(`unknown email transport ${config.transport}`);
+  }
+  return factory(config[config.transport] || {});
+};
+
+export {
+  createSendGridTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+  createTransport
+};
@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+
+/**
+ * @name createMemoryBroker
+ * @description publish/subscribe broker that keeps its subscribers in this
+ * process. Other brokers only need the same publish and subscribe functions
+ * @returns {Object} broker with publish and subscribe functions
+ */
+const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    /**
+     * @name publish
+     * @async
+     * @param {String} channel channel to publish the event on
+     * @param {Object} event type and data of the event
+     * @returns {Boolean} true if the channel had subscribers
+     */
+    publish: async (channel, event) => emitter.emit(channel, event),
+
+    /**
+     * @name subscribe
+     * @async
+     * @param {String} channel channel to listen on
+     * @param {Function} listener function called with every event
+     * @returns {Function} function that removes the listener
+     */
+    subscribe: async (channel, listener) => {
+      emitter.on(channel, listener);
+      return () => emitter.removeListener(channel, listener);
+    }
+  };
+};
+
+let broker = createMemoryBroker();
+
+/**
+ * @name useBroker
+ * @param {Object} replacement broker with publish and subscribe functions
+ * @returns {Object} the broker that was replaced
+ */
+const useBroker = (replacement) => {
+  const previous = broker;
+  broker = replacement;
+  return previous;
+};
+
+/**
+ * @name publishEvent
+ * @async
+ * @param {String} channel channel to publish the event on
+ * @param {Object} event type and data of the event
+ * @returns {*} result of the broker's publish
+ */
+const publishEvent = (channel, event) => broker.publish(channel, event);
+
+/**
+ * @name subscribeToEvents
+ * @async
+ * @param {Array} channels channels to listen on
+ * @param {Function} listener function called with every event
+ * @returns {Function} function that removes the listener from every channel
+ */
+const subscribeToEvents = async (channels, listener) => {
+  const unsubscribers = await Promise.all(
+    channels.map(channel => broker.subscribe(channel, listener))
+  );
+  return () => Promise.all(unsubscribers.map(unsubscribe => unsubscribe()));
+};
+
+/**
+ * @name eventChannel
+ * @param {String} type type of resource the channel is about
+ * @param {Integer} id id of the resource
+ * @returns {String} name of the channel
+ */
+const eventChannel = (type, id) => `${type}:${id}`;
+
+export {
+  createMemoryBroker,
+  useBroker,
+  publishEvent,
+  subscribeToEvents,
+  eventChannel
+};
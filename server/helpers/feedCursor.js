@@ -0,0 +1,27 @@
+/**
+ * @name encodeCursor
+ * @param {Object} article last article on a page of the feed
+ * @returns {String} opaque cursor pointing after the article
+ */
+const encodeCursor = ({ publishedAt, id }) => Buffer.from(
+  `${new Date(publishedAt).toISOString()}|${id}`
+).toString('base64');
+
+/**
+ * @name decodeCursor
+ * @param {String} cursor cursor sent by the client
+ * @returns {(Object|null)} publish date and id the cursor points after
+ */
+const decodeCursor = (cursor) => {
+  const [date, articleId] = Buffer.from(cursor, 'base64')
+    .toString('utf8')
+    .split('|');
+  const publishedAt = new Date(date);
+  const id = Number(articleId);
+  if (Number.isNaN(publishedAt.getTime()) || !Number.isInteger(id)) {
+    return null;
+  }
+  return { publishedAt, id };
+};
+
+export { encodeCursor, decodeCursor };
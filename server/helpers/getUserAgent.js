@@ -13,7 +13,7 @@ const getUserAgent = (request) => {
     'ipad',
     'ipod'
   ];
-  const userAgent = request.headers['user-agent'];
+  const userAgent = request.headers['user-agent'] || '';
   const devicePlatform = mobileDeviceIndicator.some(device => userAgent.toLowerCase().includes(device))
     ? 'mobile'
     : 'browser';
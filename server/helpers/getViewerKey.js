@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+import getUserAgent from './getUserAgent';
+
+/**
+ * @name getViewerKey
+ * @description anonymous viewers are keyed by their address and browser.
+ * The address is the client one the proxy forwards, see `trust proxy`
+ * @param {Object} request express request object
+ * @param {Integer} userId id of the signed in user, if any
+ * @returns {String} key identifying the viewer of an article
+ */
+const getViewerKey = (request, userId) => {
+  if (userId) return `user:${userId}`;
+  const { userAgent } = getUserAgent(request);
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${request.ip}|${userAgent}`)
+    .digest('hex');
+  return `anon:${hash}`;
+};
+
+export default getViewerKey;
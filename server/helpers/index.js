@@ -5,6 +5,7 @@ import { setCustomMessage, validateInputs } from './validationHelper';
 import findUser from './findUser';
 import dateHelper from './dateHelper';
 import getUserAgent from './getUserAgent';
+import getViewerKey from './getViewerKey';
 import createSocialUsers from './createSocialUsers';
 import getSocialUserData from './getSocialUserData';
 import imageUpload from './imageUpload';
@@ -20,6 +21,65 @@ import {
 import isFollowing from './isFollowing';
 import searchCategorizer from './searchCategorizer';
 import articleResponse from './articleResponse';
+import lineDiff from './lineDiff';
+import readingStats from './readingStats';
+import { encodeCursor, decodeCursor } from './feedCursor';
+import createScheduler from './scheduler';
+import articleScheduler from './articleScheduler';
+import { createLikeOrDislike, removeLikeOrDislike } from './likeOrDislike';
+import { anchorMatches, relocateAnchor } from './anchorHelpers';
+import {
+  parseMentions,
+  renderMentions,
+  recordMentions,
+  withMentionLinks
+} from './mentions';
+import { notify, notifyAll, notifyFollowers } from './notifications';
+import notificationDigest from './notificationDigest';
+import {
+  createMemoryBroker,
+  useBroker,
+  publishEvent,
+  subscribeToEvents,
+  eventChannel
+} from './eventBroker';
+import {
+  getEmailTransport,
+  useEmailTransport,
+  retryQueuedEmails
+} from './emailModule';
+import emailRetries from './emailRetries';
+import startSession from './startSession';
+import {
+  createMemoryDenyList,
+  useDenyList,
+  denyToken,
+  isTokenDenied
+} from './tokenDenyList';
+import {
+  generateTwoFactorSecret,
+  twoFactorUri,
+  twoFactorStep,
+  verifyTwoFactorCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+} from './twoFactor';
+import {
+  createSocialLoginCode,
+  redeemSocialLoginCode
+} from './socialLoginCode';
+import {
+  createMemoryRateLimitStore,
+  useRateLimitStore,
+  consumeRateLimit
+} from './rateLimiter';
+import {
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures
+} from './accountLockout';
 
 const { expiryDate } = dateHelper;
 const { sendResetPasswordEmail, sendVerificationEmail } = emailTemplates;
@@ -34,6 +94,7 @@ export {
   findToken,
   generateToken,
   getUserAgent,
+  getViewerKey,
   createSocialUsers,
   getSocialUserData,
   sendVerificationEmail,
@@ -48,5 +109,53 @@ export {
   removeDuplicateTags,
   isFollowing,
   searchCategorizer,
-  articleResponse
+  articleResponse,
+  lineDiff,
+  readingStats,
+  encodeCursor,
+  decodeCursor,
+  createScheduler,
+  articleScheduler,
+  createLikeOrDislike,
+  removeLikeOrDislike,
+  anchorMatches,
+  relocateAnchor,
+  parseMentions,
+  renderMentions,
+  recordMentions,
+  withMentionLinks,
+  notify,
+  notifyAll,
+  notifyFollowers,
+  notificationDigest,
+  createMemoryBroker,
+  useBroker,
+  publishEvent,
+  subscribeToEvents,
+  eventChannel,
+  getEmailTransport,
+  useEmailTransport,
+  retryQueuedEmails,
+  emailRetries,
+  startSession,
+  createMemoryDenyList,
+  useDenyList,
+  denyToken,
+  isTokenDenied,
+  generateTwoFactorSecret,
+  twoFactorUri,
+  twoFactorStep,
+  verifyTwoFactorCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  createSocialLoginCode,
+  redeemSocialLoginCode,
+  createMemoryRateLimitStore,
+  useRateLimitStore,
+  consumeRateLimit,
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures
 };
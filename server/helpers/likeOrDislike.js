@@ -0,0 +1,70 @@
+import models from '../database/models';
+
+const { Like, Dislike } = models;
+
+/**
+ * Saves the current number of likes and dislikes on an article or comment
+ *
+ * @name updateReactionCounts
+ * @param {Object} content - article or comment object
+ * @returns {Void} nothing
+ */
+const updateReactionCounts = async (content) => {
+  const likesCount = await content.countLikes();
+  const dislikesCount = await content.countDislikes();
+  await content.constructor.update(
+    { likesCount, dislikesCount },
+    { where: { id: content.id } }
+  );
+};
+
+/**
+ * Create like or dislike for an article or comment, removing the user's
+ * opposite reaction if there is one
+ *
+ * @name createLikeOrDislike
+ * @param {String} userAction - Action user wants to perform (like/dislike)
+ * @param {String|Number} userId - Id of the user
+ * @param {Object} content - selected article or comment object
+ * @returns {Void} nothing
+ */
+const createLikeOrDislike = async (userAction, userId, content) => {
+  const model = userAction === 'like' ? Dislike : Like;
+  await model.destroy({
+    where: {
+      userId,
+      contentType: content.constructor.name.toLowerCase(),
+      contentId: content.id
+    }
+  });
+
+  if (userAction === 'like') {
+    await content.createLike({ userId });
+  } else {
+    await content.createDislike({ userId });
+  }
+  await updateReactionCounts(content);
+};
+
+/**
+ * Remove a user's like or dislike from an article or comment
+ *
+ * @name removeLikeOrDislike
+ * @param {String} userAction - Reaction to remove (like/dislike)
+ * @param {String|Number} userId - Id of the user
+ * @param {Object} content - selected article or comment object
+ * @returns {Void} nothing
+ */
+const removeLikeOrDislike = async (userAction, userId, content) => {
+  const model = userAction === 'like' ? Like : Dislike;
+  await model.destroy({
+    where: {
+      userId,
+      contentType: content.constructor.name.toLowerCase(),
+      contentId: content.id
+    }
+  });
+  await updateReactionCounts(content);
+};
+
+export { createLikeOrDislike, removeLikeOrDislike };
@@ -0,0 +1,111 @@
+/**
+ * largest number of cells the longest common subsequence table may have.
+ * Bigger changes are shown as the old lines removed and the new lines added
+ * so two long texts cannot use up the memory of the server
+ */
+const MAX_TABLE_CELLS = 1000000;
+
+/**
+ * @name splitLines
+ * @param {String} text text to split
+ * @returns {Array} lines of the text
+ */
+const splitLines = text => (text ? text.split(/\r?\n/) : []);
+
+/**
+ * @name markLines
+ * @param {Array} lines lines to mark
+ * @param {String} type added, removed or unchanged
+ * @returns {Array} list of lines marked with the type
+ */
+const markLines = (lines, type) => lines.map(line => ({ type, line }));
+
+/**
+ * @name commonDiff
+ * @description diffs two lists of lines using their longest common
+ * subsequence
+ * @param {Array} previousLines lines before the change
+ * @param {Array} currentLines lines after the change
+ * @returns {Array} list of lines marked as added, removed or unchanged
+ */
+const commonDiff = (previousLines, currentLines) => {
+  const rows = previousLines.length;
+  const columns = currentLines.length;
+  if (rows * columns > MAX_TABLE_CELLS) {
+    return [
+      ...markLines(previousLines, 'removed'),
+      ...markLines(currentLines, 'added')
+    ];
+  }
+  const common = Array.from({ length: rows + 1 }, () => (
+    Array(columns + 1).fill(0)
+  ));
+
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      common[i][j] = previousLines[i] === currentLines[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (previousLines[i] === currentLines[j]) {
+      diff.push({ type: 'unchanged', line: previousLines[i] });
+      i += 1;
+      j += 1;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      diff.push({ type: 'removed', line: previousLines[i] });
+      i += 1;
+    } else {
+      diff.push({ type: 'added', line: currentLines[j] });
+      j += 1;
+    }
+  }
+  return [
+    ...diff,
+    ...markLines(previousLines.slice(i), 'removed'),
+    ...markLines(currentLines.slice(j), 'added')
+  ];
+};
+
+/**
+ * @name lineDiff
+ * @description computes a line level diff. Lines both texts start and end
+ * with are kept out of the longest common subsequence table, and changes
+ * too big for it are shown as whole blocks removed and added
+ * @param {String} previousText text before the change
+ * @param {String} currentText text after the change
+ * @returns {Array} list of lines marked as added, removed or unchanged
+ */
+const lineDiff = (previousText, currentText) => {
+  const previousLines = splitLines(previousText);
+  const currentLines = splitLines(currentText);
+  const shortest = Math.min(previousLines.length, currentLines.length);
+  let start = 0;
+  while (start < shortest && previousLines[start] === currentLines[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < shortest - start
+    && previousLines[previousLines.length - 1 - end]
+      === currentLines[currentLines.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  return [
+    ...markLines(previousLines.slice(0, start), 'unchanged'),
+    ...commonDiff(
+      previousLines.slice(start, previousLines.length - end),
+      currentLines.slice(start, currentLines.length - end)
+    ),
+    ...markLines(previousLines.slice(previousLines.length - end), 'unchanged')
+  ];
+};
+
+export default lineDiff;
@@ -0,0 +1,102 @@
+import { config } from 'dotenv';
+import models from '../database/models';
+import { notifyAll } from './notifications';
+
+config();
+
+const { Mention } = models;
+const { SERVER_URL, BASE_URL } = process.env;
+const mentionPattern = /(^|[^\w@])@([a-zA-Z0-9]{6,15})\b/g;
+
+/**
+ * @name parseMentions
+ * @param {String} text article body or comment
+ * @returns {Array} unique usernames mentioned in the text
+ */
+const parseMentions = (text) => {
+  const userNames = [];
+  (text || '').replace(mentionPattern, (match, prefix, userName) => {
+    if (!userNames.includes(userName)) userNames.push(userName);
+    return match;
+  });
+  return userNames;
+};
+
+/**
+ * @name renderMentions
+ * @param {String} text article body or comment
+ * @param {Array} userNames usernames of users that exist
+ * @returns {String} the text with mentions of the users as profile links
+ */
+const renderMentions = (text, userNames) => {
+  if (!text || !userNames.length) return text;
+  return text.replace(mentionPattern, (match, prefix, userName) => {
+    if (!userNames.includes(userName)) return match;
+    const profileUrl = `${SERVER_URL}${BASE_URL}/profiles/${userName}`;
+    return `${prefix}<a href="${profileUrl}">@${userName}</a>`;
+  });
+};
+
+/**
+ * stores the users mentioned in an article or comment and notifies the
+ * ones who were not mentioned in it before
+ *
+ * @name recordMentions
+ * @async
+ * @param {Object} mentioner user who wrote the article or comment
+ * @param {Object} article the article or the article commented on
+ * @param {String} contentType article or comment
+ * @param {Object} content the article or comment
+ * @returns {Array} the users who were mentioned for the first time
+ */
+const recordMentions = async (mentioner, article, contentType, content) => {
+  const text = contentType === 'article'
+    ? content.articleBody
+    : content.comment;
+  const users = await Mention.record(
+    {
+      mentionerId: mentioner.id,
+      articleId: article.id,
+      contentType,
+      contentId: content.id
+    },
+    parseMentions(text)
+  );
+  await notifyAll({
+    type: 'mention',
+    userIds: users.map(({ id }) => id),
+    actorId: mentioner.id,
+    articleId: article.id,
+    commentId: contentType === 'comment' ? content.id : null
+  });
+  return users;
+};
+
+/**
+ * @name withMentionLinks
+ * @async
+ * @param {String} contentType article or comment
+ * @param {Array} items articles or comments in a response
+ * @returns {Array} the items with mentions rendered as profile links
+ */
+const withMentionLinks = async (contentType, items) => {
+  const field = contentType === 'article' ? 'articleBody' : 'comment';
+  const contents = items.map(item => item.dataValues || item);
+  if (!contents.length) return items;
+  const userNames = await Mention.findUserNames(
+    contentType,
+    contents.map(({ id }) => id)
+  );
+  contents.forEach((content) => {
+    const mentioned = userNames[content.id] || [];
+    content[field] = renderMentions(content[field], mentioned);
+  });
+  return items;
+};
+
+export {
+  parseMentions,
+  renderMentions,
+  recordMentions,
+  withMentionLinks
+};
@@ -0,0 +1,63 @@
+import models from '../database/models';
+import createScheduler from './scheduler';
+import emailTemplates from './emailTemplates';
+
+const {
+  Notification, NotificationSetting, User, Article
+} = models;
+
+/**
+ * emails each user whose daily or weekly digest is due a single email with
+ * the notifications they chose to receive by email since the last one
+ *
+ * @name sendNotificationDigests
+ * @async
+ * @param {Date} now the current date
+ * @returns {Number} number of digests that were sent
+ */
+const sendNotificationDigests = async (now) => {
+  const pending = await Notification.findAll({
+    where: { email: true, emailedAt: null },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    include: [
+      { model: User, as: 'user', attributes: ['firstName', 'email'] },
+      { model: User, as: 'actor', attributes: ['userName'] },
+      { model: Article, as: 'article', attributes: ['title', 'slug'] }
+    ]
+  });
+  const pendingByUser = pending.reduce((groups, notification) => {
+    const { userId } = notification;
+    groups[userId] = [...(groups[userId] || []), notification];
+    return groups;
+  }, {});
+  const userIds = Object.keys(pendingByUser).map(Number);
+  if (!userIds.length) return 0;
+
+  const settings = await NotificationSetting.forUsers(userIds);
+  const dueUserIds = userIds.filter(
+    userId => NotificationSetting.isDigestDue(settings[userId], now)
+  );
+  await Promise.all(
+    dueUserIds.map(async (userId) => {
+      const notifications = pendingByUser[userId];
+      const { firstName, email } = notifications[0].user;
+      const setting = settings[userId];
+      await emailTemplates.sendDigestEmail({
+        firstName,
+        email,
+        digest: setting.digest,
+        notifications
+      });
+      await Notification.update(
+        { emailedAt: now },
+        { where: { id: notifications.map(({ id }) => id) } }
+      );
+      await setting.update({ lastDigestAt: now });
+    })
+  );
+  return dueUserIds.length;
+};
+
+export default createScheduler(sendNotificationDigests, {
+  interval: 60 * 60 * 1000
+});
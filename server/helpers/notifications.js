@@ -0,0 +1,83 @@
+import models from '../database/models';
+import { publishEvent, eventChannel } from './eventBroker';
+
+const { Notification, NotificationSetting, UserFollower } = models;
+
+/**
+ * records notifications about an event for several users, following each
+ * user's choice of in-app and email delivery for that type of event.
+ * Users are never notified about their own actions. In-app notifications
+ * are also pushed to the event stream of each user
+ *
+ * @name notifyAll
+ * @async
+ * @param {Object} event type of the event, the users to notify, the user
+ * who caused it and the article and comment it is about
+ * @returns {Array} the notifications that were recorded
+ */
+const notifyAll = async ({
+  type,
+  userIds,
+  actorId,
+  articleId = null,
+  commentId = null
+}) => {
+  const recipients = userIds.filter(userId => userId && userId !== actorId);
+  if (!recipients.length) return [];
+  const settings = await NotificationSetting.forUsers(recipients);
+  const notifications = recipients
+    .map(userId => ({
+      type,
+      userId,
+      actorId,
+      articleId,
+      commentId,
+      ...NotificationSetting.deliveryFor(settings[userId], type)
+    }))
+    .filter(({ inApp, email }) => inApp || email);
+  if (!notifications.length) return [];
+  const created = await Notification.bulkCreate(notifications);
+  await Promise.all(
+    created
+      .filter(({ inApp }) => inApp)
+      .map(notification => publishEvent(
+        eventChannel('user', notification.userId),
+        { type: 'notification', data: notification.toJSON() }
+      ))
+  );
+  return created;
+};
+
+/**
+ * @name notify
+ * @async
+ * @param {Object} event type of the event, the user to notify, the user
+ * who caused it and the article and comment it is about
+ * @returns {(Object|null)} the notification or null if none was recorded
+ */
+const notify = async ({ userId, ...event }) => {
+  const [notification] = await notifyAll({ ...event, userIds: [userId] });
+  return notification || null;
+};
+
+/**
+ * Notifies the followers of an author about a newly published article
+ *
+ * @name notifyFollowers
+ * @param {Object} article - the published article
+ * @returns {Array} the notifications that were recorded
+ */
+const notifyFollowers = async (article) => {
+  const followers = await UserFollower.findAll({
+    attributes: ['followerId'],
+    where: { userId: article.authorId }
+  });
+  return notifyAll({
+    type: 'article',
+    userIds: followers.map(({ followerId }) => followerId),
+    actorId: article.authorId,
+    articleId: article.id
+  });
+};
+
+export { notify, notifyAll, notifyFollowers };
@@ -0,0 +1,101 @@
+/**
+ * @name createMemoryRateLimitStore
+ * @description keeps counters in this process. Other stores only need the
+ * same increment, get, set and remove functions
+ * @returns {Object} store of counters that reset at a given time
+ */
+const createMemoryRateLimitStore = () => {
+  const entries = new Map();
+
+  /**
+   * @name prune
+   * @param {Number} now the current time in milliseconds
+   * @returns {Void} removes the counters that have reset
+   */
+  const prune = (now) => {
+    entries.forEach(({ resetAt }, key) => {
+      if (resetAt <= now) entries.delete(key);
+    });
+  };
+
+  /**
+   * @name get
+   * @param {String} key key of the counter
+   * @returns {(Object|null)} the count and reset time of the counter
+   */
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { ...entry };
+  };
+
+  return {
+    get,
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      prune(now);
+      const entry = entries.get(key) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    set: async (key, entry) => {
+      entries.set(key, { ...entry });
+    },
+    remove: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryRateLimitStore();
+
+/**
+ * @name useRateLimitStore
+ * @param {Object} replacement store with increment, get, set and remove
+ * @returns {Object} the store that was replaced
+ */
+const useRateLimitStore = (replacement) => {
+  const previous = store;
+  store = replacement;
+  return previous;
+};
+
+/**
+ * @name getRateLimitStore
+ * @returns {Object} the store counters are kept in
+ */
+const getRateLimitStore = () => store;
+
+/**
+ * @name retryAfterSeconds
+ * @param {Number} resetAt time in milliseconds when the limit is lifted
+ * @returns {Number} whole seconds until then, for the Retry-After header
+ */
+const retryAfterSeconds = resetAt => Math.max(
+  1,
+  Math.ceil((resetAt - Date.now()) / 1000)
+);
+
+/**
+ * @name consumeRateLimit
+ * @async
+ * @param {String} key key of the counter
+ * @param {Object} limit maximum number of hits in a window of milliseconds
+ * @returns {Object} whether the limit was exceeded and the seconds to wait
+ */
+const consumeRateLimit = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await store.increment(key, windowMs);
+  return {
+    limited: count > max,
+    retryAfter: retryAfterSeconds(resetAt)
+  };
+};
+
+export {
+  createMemoryRateLimitStore,
+  useRateLimitStore,
+  getRateLimitStore,
+  retryAfterSeconds,
+  consumeRateLimit
+};
@@ -0,0 +1,26 @@
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * @name stripMarkup
+ * @param {String} text article body which may contain html or markdown
+ * @returns {String} the plain text of the article body
+ */
+const stripMarkup = text => text
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+  .replace(/[#*_`~>|]/g, ' ');
+
+/**
+ * @name readingStats
+ * @param {String} articleBody body of the article
+ * @returns {Object} word count and reading time in minutes of the article
+ */
+const readingStats = (articleBody) => {
+  const words = stripMarkup(articleBody || '').match(/[^\s-]\S*/g) || [];
+  const wordCount = words.length;
+  const readTimeMinutes = Math.ceil(wordCount / WORDS_PER_MINUTE);
+  return { wordCount, readTimeMinutes };
+};
+
+export default readingStats;
@@ -0,0 +1,71 @@
+import Debug from 'debug';
+
+const debug = Debug('dev');
+
+/**
+ * @name createScheduler
+ * @description runs a task at a fixed interval in this process. The clock
+ * is read through the `now` option so tests can drive it with a fake clock
+ * @param {Function} task async function called with the current date
+ * @param {Object} options interval in milliseconds and the clock to read
+ * @returns {Object} scheduler with start, stop and tick functions
+ */
+const createScheduler = (task, options = {}) => {
+  const { interval = 60000, now = () => new Date(Date.now()) } = options;
+  let timer = null;
+  let running = false;
+
+  /**
+   * @name tick
+   * @async
+   * @returns {*} result of the task or null when the run was skipped
+   */
+  const tick = async () => {
+    if (running) return null;
+    running = true;
+    try {
+      const result = await task(now());
+      return result;
+    } catch (error) {
+      debug(`scheduled task failed: ${error.message}`);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * @name start
+   * @returns {Object} the interval timer
+   */
+  const start = () => {
+    if (timer) return timer;
+    timer = setInterval(tick, interval);
+    if (timer.unref) timer.unref();
+    return timer;
+  };
+
+  /**
+   * @name stop
+   * @returns {Void} clears the interval timer
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  /**
+   * @name isRunning
+   * @returns {Boolean} true when the scheduler has been started
+   */
+  const isRunning = () => !!timer;
+
+  return {
+    start,
+    stop,
+    tick,
+    isRunning
+  };
+};
+
+export default createScheduler;
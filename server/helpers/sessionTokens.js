@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+/**
+ * @name generateRefreshToken
+ * @returns {String} random opaque token used to refresh a session
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * @name hashToken
+ * @param {String} token token to hash before it is stored
+ * @returns {String} sha256 hash of the token
+ */
+const hashToken = token => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+export { generateRefreshToken, hashToken };
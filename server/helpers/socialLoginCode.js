@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { denyToken, isTokenDenied } from './tokenDenyList';
+
+const CODE_EXPIRY = '2m';
+
+/**
+ * @name codeKey
+ * @returns {String} key sign in codes are signed with, which differs from
+ * the access token key so a code is never accepted as an access token
+ */
+const codeKey = () => `${process.env.JWT_KEY}:social-login-code`;
+
+/**
+ * @name createSocialLoginCode
+ * @param {Integer} userId id of the user that signed in with a provider
+ * @returns {String} short-lived code the client exchanges for a session, so
+ * no session token is put in the redirect URL
+ */
+const createSocialLoginCode = userId => jwt.sign(
+  { id: userId },
+  codeKey(),
+  { expiresIn: CODE_EXPIRY, jwtid: crypto.randomBytes(16).toString('hex') }
+);
+
+/**
+ * @name redeemSocialLoginCode
+ * @async
+ * @param {String} code code from the social login redirect
+ * @returns {(Integer|null)} id of the user, or null when the code is
+ * invalid, expired or was already used
+ */
+const redeemSocialLoginCode = async (code) => {
+  let userId;
+  try {
+    userId = jwt.verify(code, codeKey()).id;
+  } catch (error) {
+    return null;
+  }
+  if (await isTokenDenied(code)) return null;
+  await denyToken(code);
+  return userId;
+};
+
+export { createSocialLoginCode, redeemSocialLoginCode };
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import models from '../database/models';
+import generateToken from './generateToken';
+import dateHelper from './dateHelper';
+import { generateRefreshToken, hashToken } from './sessionTokens';
+
+const { Session } = models;
+const { expiryDate } = dateHelper;
+
+/**
+ * @name startSession
+ * @async
+ * @description creates a session with a short-lived access token and an
+ * opaque refresh token. Only the hash of the refresh token is stored
+ * @param {Object} details id of the user, the device the session is started
+ * from and the family of the session when it replaces a refreshed one
+ * @returns {Object} the session, its access token and its refresh token
+ */
+const startSession = async ({
+  userId,
+  devicePlatform,
+  userAgent,
+  ipAddress,
+  familyId
+}) => {
+  const token = generateToken(
+    { id: userId, jti: crypto.randomBytes(8).toString('hex') },
+    process.env.ACCESS_TOKEN_EXPIRY || '15m'
+  );
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId,
+    token,
+    refreshTokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt: expiryDate(devicePlatform),
+    userAgent,
+    ipAddress,
+    devicePlatform
+  });
+  return { session, token, refreshToken };
+};
+
+export default startSession;
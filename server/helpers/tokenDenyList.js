@@ -0,0 +1,78 @@
+import jwt from 'jsonwebtoken';
+import { hashToken } from './sessionTokens';
+
+/**
+ * @name createMemoryDenyList
+ * @description keeps revoked tokens in this process until they expire.
+ * Other stores only need the same add and has functions
+ * @returns {Object} deny list with add and has functions
+ */
+const createMemoryDenyList = () => {
+  const entries = new Map();
+
+  /**
+   * @name prune
+   * @param {Number} now the current time in milliseconds
+   * @returns {Void} removes the tokens that have expired
+   */
+  const prune = (now) => {
+    entries.forEach((expiresAt, key) => {
+      if (expiresAt <= now) entries.delete(key);
+    });
+  };
+
+  return {
+    add: async (key, expiresAt) => {
+      prune(Date.now());
+      entries.set(key, expiresAt.getTime());
+    },
+    has: async (key) => {
+      const expiresAt = entries.get(key);
+      return expiresAt !== undefined && expiresAt > Date.now();
+    }
+  };
+};
+
+let denyList = createMemoryDenyList();
+
+/**
+ * @name useDenyList
+ * @param {Object} replacement deny list with add and has functions
+ * @returns {Object} the deny list that was replaced
+ */
+const useDenyList = (replacement) => {
+  const previous = denyList;
+  denyList = replacement;
+  return previous;
+};
+
+/**
+ * @name denyToken
+ * @async
+ * @description rejects a token until it expires, or until the given date
+ * when the token itself never expires
+ * @param {String} token the token to reject
+ * @param {Date} fallbackExpiry date to keep the token until when it has
+ * no expiry of its own
+ * @returns {Void} adds the token to the deny list
+ */
+const denyToken = async (token, fallbackExpiry) => {
+  const { exp } = jwt.decode(token) || {};
+  const expiresAt = exp ? new Date(exp * 1000) : fallbackExpiry;
+  await denyList.add(hashToken(token), expiresAt);
+};
+
+/**
+ * @name isTokenDenied
+ * @async
+ * @param {String} token the token to check
+ * @returns {Boolean} true when the token has been revoked
+ */
+const isTokenDenied = token => denyList.has(hashToken(token));
+
+export {
+  createMemoryDenyList,
+  useDenyList,
+  denyToken,
+  isTokenDenied
+};
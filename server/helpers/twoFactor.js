@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import models from '../database/models';
+
+const { RecoveryCode, TwoFactorAuth } = models;
+
+const ISSUER = 'Authors Haven';
+const CHALLENGE_EXPIRY = '5m';
+const totp = authenticator.clone({ window: 1 });
+
+/**
+ * @name challengeKey
+ * @returns {String} key challenge tokens are signed with, which differs
+ * from the access token key so a challenge token is never accepted as one
+ */
+const challengeKey = () => `${process.env.JWT_KEY}:two-factor-challenge`;
+
+/**
+ * @name generateTwoFactorSecret
+ * @returns {String} base32 secret shared with the authenticator app
+ */
+const generateTwoFactorSecret = () => totp.generateSecret();
+
+/**
+ * @name twoFactorUri
+ * @param {String} accountName name of the account shown in the app
+ * @param {String} secret base32 secret of the account
+ * @returns {String} otpauth URI that authenticator apps can scan
+ */
+const twoFactorUri = (accountName, secret) => totp.keyuri(
+  accountName,
+  ISSUER,
+  secret
+);
+
+/**
+ * @name twoFactorStep
+ * @param {String} secret base32 secret of the account
+ * @param {String} code code from the authenticator app
+ * @returns {(Number|null)} the 30 second time step the code belongs to when
+ * it is valid for now or the previous or next 30 seconds, or null
+ */
+const twoFactorStep = (secret, code) => {
+  if (!/^\d{6}$/.test(code)) return null;
+  const delta = totp.checkDelta(code, secret);
+  if (delta === null) return null;
+  return Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+};
+
+/**
+ * @name verifyTwoFactorCode
+ * @param {String} secret base32 secret of the account
+ * @param {String} code code from the authenticator app
+ * @returns {Boolean} true when the code is valid for now or the previous or
+ * next 30 seconds
+ */
+const verifyTwoFactorCode = (secret, code) => (
+  twoFactorStep(secret, code) !== null
+);
+
+/**
+ * @name verifySecondFactor
+ * @async
+ * @param {Object} twoFactorAuth two-factor settings of the user
+ * @param {String} code code from the authenticator app or a recovery code
+ * @returns {Boolean} true when the code is valid. An authenticator code is
+ * not accepted again, nor is one older than the last accepted code, and a
+ * recovery code can only be used once
+ */
+const verifySecondFactor = async (twoFactorAuth, code) => {
+  const step = twoFactorStep(twoFactorAuth.secret, code);
+  if (step !== null) return TwoFactorAuth.useStep(twoFactorAuth, step);
+  return RecoveryCode.redeem(twoFactorAuth.userId, code);
+};
+
+/**
+ * @name generateRecoveryCodes
+ * @param {Number} count number of codes to generate
+ * @returns {Array} one-time recovery codes such as 3f9a1-c07b2
+ */
+const generateRecoveryCodes = (count = 10) => Array.from(
+  { length: count },
+  () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+);
+
+/**
+ * @name createChallengeToken
+ * @param {Integer} userId id of the user that passed the password check
+ * @returns {String} short-lived token to exchange with a code for a session
+ */
+const createChallengeToken = userId => jwt.sign(
+  { id: userId },
+  challengeKey(),
+  { expiresIn: CHALLENGE_EXPIRY }
+);
+
+/**
+ * @name verifyChallengeToken
+ * @param {String} token challenge token from the login response
+ * @returns {(Integer|null)} id of the user or null when the token is invalid
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeKey()).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+export {
+  generateTwoFactorSecret,
+  twoFactorUri,
+  twoFactorStep,
+  verifyTwoFactorCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -4,12 +4,14 @@
  * @param {Number} code status code to return
  * @param {Object} user object with response details
  * @param {Object} token strings
+ * @param {String} refreshToken token used to refresh the session
  * @returns {JSON} JSON response with status and response information
  */
-const userResponse = (res, code, user, token) => {
+const userResponse = (res, code, user, token, refreshToken) => {
   delete user.dataValues.password;
-  return token
-    ? res.status(code).json({ user, token })
-    : res.status(code).json({ user });
+  if (!token) return res.status(code).json({ user });
+  return refreshToken
+    ? res.status(code).json({ user, token, refreshToken })
+    : res.status(code).json({ user, token });
 };
 export default userResponse;
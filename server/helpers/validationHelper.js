@@ -20,8 +20,11 @@ const setCustomMessage = (label, action = 'user signup') => (errors) => {
       if (action === 'profile edit') {
         err.message = `${label} must only be identified by either fullname or username`;
       }
+      if (action === 'valid option') {
+        err.message = `${label} must be one of ${err.context.valids.join(', ')}`;
+      }
       if (action === 'valid status') {
-        err.message = `${label} must be a valid status try publish or draft`;
+        err.message = `${label} must be a valid status try publish, draft or scheduled`;
       }
       if (action === 'user signup') {
         err.message = `${label} must match password`;
@@ -47,12 +50,42 @@ const setCustomMessage = (label, action = 'user signup') => (errors) => {
     case 'string.uri':
       err.message = `${label} format is invalid`;
       break;
+    case 'string.email':
+      err.message = `${label} must be a valid email address`;
+      break;
     case 'number.base':
       err.message = `${label} must be a number`;
       break;
+    case 'number.integer':
+      err.message = `${label} must be a whole number`;
+      break;
     case 'number.min':
       err.message = `${label} must be greater than or equal to ${err.context.limit}`;
       break;
+    case 'number.greater':
+      err.message = `${label} must be greater than ${err.context.limit}`;
+      break;
+    case 'number.max':
+      err.message = `${label} must be less than or equal to ${err.context.limit}`;
+      break;
+    case 'boolean.base':
+      err.message = `${label} must be either true or false`;
+      break;
+    case 'date.base':
+    case 'date.isoDate':
+      err.message = `${label} must be a valid ISO 8601 date`;
+      break;
+    case 'date.min':
+      err.message = `${label} must not be before the start date`;
+      break;
+    case 'date.greater':
+      err.message = `${label} must be a date in the future`;
+      break;
+    case 'any.unknown':
+      err.message = action === 'scheduled date'
+        ? `${label} is only allowed when status is scheduled`
+        : `${label} is not allowed`;
+      break;
     default:
       err.message = `${label} should be a string`;
       break;
@@ -68,9 +101,10 @@ const setCustomMessage = (label, action = 'user signup') => (errors) => {
  * @name validateInput
  * @param {object} res - ExpressJs response object
  * @param {function} next - ExpressJs next function
+ * @param {number} status - HTTP status of the response when inputs are invalid
  * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
  */
-const validateInputs = (res, next) => (errors) => {
+const validateInputs = (res, next, status = 422) => (errors) => {
   const validationErrors = {};
 
   if (!errors) return next();
@@ -81,7 +115,7 @@ const validateInputs = (res, next) => (errors) => {
     validationErrors[key] = errorClone.message.replace(/"/g, '');
   });
 
-  serverResponse(res, 422, { errors: validationErrors });
+  serverResponse(res, status, { errors: validationErrors });
 };
 
 export { setCustomMessage, validateInputs };
@@ -8,6 +8,11 @@ import Debug from 'debug';
 import session from 'express-session';
 import cors from 'cors';
 import routes from './routes';
+import {
+  articleScheduler,
+  notificationDigest,
+  emailRetries
+} from './helpers';
 
 const PORT = process.env.PORT || 9000;
 
@@ -16,6 +21,10 @@ config();
 const debug = Debug('dev');
 
 const app = express();
+
+// the Heroku router is the one proxy in front of the app in production, so
+// request.ip is the address it saw and not the address of the router
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
 const swaggerDoc = YAML.load(
   path.join(__dirname, './docs/authors-haven-api.yml')
 );
@@ -45,4 +54,10 @@ app.use('*', (request, response) => {
 
 app.listen(PORT, () => debug(`Server started on port ${PORT}`));
 
+if (process.env.NODE_ENV !== 'test') {
+  articleScheduler.start();
+  notificationDigest.start();
+  emailRetries.start();
+}
+
 export default app;
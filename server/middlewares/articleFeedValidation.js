@@ -0,0 +1,25 @@
+import Joi from '@hapi/joi';
+import { articleFeedSchema } from '../schemas';
+import { validateInputs } from '../helpers/validationHelper';
+
+/**
+ * @name validateArticleFeed
+ * @param {Object} req express request object
+ * @param {Object} res express response object
+ * @param {Object} next express function for calling next middleware
+ * @returns {Function} Joi validation function
+ */
+const validateArticleFeed = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.query,
+    articleFeedSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+export default validateArticleFeed;
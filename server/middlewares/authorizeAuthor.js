@@ -0,0 +1,29 @@
+import models from '../database/models';
+import { serverResponse, serverError } from '../helpers';
+import authorizeUser from './authorizeUser';
+
+const { Article } = models;
+
+/**
+ * @name authorizeAuthor
+ * @description lets the author of an article through and falls back to
+ * authorizeUser for everyone else so admins can override
+ * @param {Integer} allowedLevel the level given access to other articles
+ * @returns {Function} express middleware that sets the article on request
+ */
+const authorizeAuthor = allowedLevel => async (request, response, next) => {
+  try {
+    const { slug } = request.params;
+    const article = await Article.findBySlug(slug);
+    if (!article) {
+      return serverResponse(response, 404, { error: 'article not found' });
+    }
+    request.article = article;
+    if (article.authorId === request.user.id) return next();
+    return authorizeUser(allowedLevel)(request, response, next);
+  } catch (error) {
+    return serverError(response);
+  }
+};
+
+export default authorizeAuthor;
@@ -0,0 +1,25 @@
+import Joi from '@hapi/joi';
+import { followingFeedSchema } from '../schemas';
+import { validateInputs } from '../helpers/validationHelper';
+
+/**
+ * @name validateFollowingFeed
+ * @param {Object} req express request object
+ * @param {Object} res express response object
+ * @param {Object} next express function for calling next middleware
+ * @returns {Function} Joi validation function
+ */
+const validateFollowingFeed = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.query,
+    followingFeedSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+export default validateFollowingFeed;
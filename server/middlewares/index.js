@@ -12,6 +12,25 @@ import validateCommentBody from './commentValidation';
 import createCategoryValidation from './createCategoryValidation';
 import validateSearch from './searchValidation';
 import articleEditValidation from './articleEditValidation';
+import authorizeAuthor from './authorizeAuthor';
+import validateUserArticles from './userArticlesValidation';
+import validateArticleFeed from './articleFeedValidation';
+import validateFollowingFeed from './followingFeedValidation';
+import validateRating from './ratingValidation';
+import {
+  validateReport,
+  validateReportQueue,
+  validateReportId
+} from './reportValidation';
+import validateCommentListing from './commentListingValidation';
+import validateNotificationQuery from './notificationValidation';
+import validateNotificationSettings from './notificationSettingsValidation';
+import validateEmailQuery from './emailValidation';
+import {
+  validateTwoFactorCode,
+  validateTwoFactorLogin
+} from './twoFactorValidation';
+import rateLimit from './rateLimit';
 
 const middlewares = {
   verifyToken,
@@ -28,7 +47,22 @@ const middlewares = {
   validateCommentBody,
   createCategoryValidation,
   validateSearch,
-  articleEditValidation
+  articleEditValidation,
+  authorizeAuthor,
+  validateUserArticles,
+  validateArticleFeed,
+  validateFollowingFeed,
+  validateRating,
+  validateReport,
+  validateReportQueue,
+  validateReportId,
+  validateCommentListing,
+  validateNotificationQuery,
+  validateNotificationSettings,
+  validateEmailQuery,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  rateLimit
 };
 
 export default middlewares;
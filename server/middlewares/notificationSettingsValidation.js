@@ -0,0 +1,25 @@
+import Joi from '@hapi/joi';
+import { notificationSettingsSchema } from '../schemas';
+import { validateInputs } from '../helpers/validationHelper';
+
+/**
+ * @name validateNotificationSettings
+ * @param {Object} req express request object
+ * @param {Object} res express response object
+ * @param {Object} next express function for calling next middleware
+ * @returns {Function} Joi validation function
+ */
+const validateNotificationSettings = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.body,
+    notificationSettingsSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+export default validateNotificationSettings;
@@ -0,0 +1,52 @@
+import rateLimitConfig from '../database/config/rateLimitConfig';
+import { serverResponse, consumeRateLimit } from '../helpers';
+
+/**
+ * @name byIp
+ * @param {Object} request express request object
+ * @returns {String} address of the client
+ */
+const byIp = request => request.ip;
+
+/**
+ * @name byAccount
+ * @param {Object} request express request object
+ * @returns {(String|undefined)} email of the account the request is about
+ */
+const byAccount = (request) => {
+  const email = request.params.email || request.body.email;
+  return email && String(email).trim().toLowerCase();
+};
+
+const keys = { ip: byIp, account: byAccount };
+
+/**
+ * @name rateLimit
+ * @param {String} name name of the limits in the rate limit config
+ * @param {String} scope what requests are counted by, ip or account
+ * @param {Object} response express response object
+ * @param {Object} next express next function that calls the next middleware
+ * @returns {Void} it calls the next middleware
+ */
+const rateLimit = (name, scope) => async (request, response, next) => {
+  const key = keys[scope](request);
+  if (!rateLimitConfig.enabled || !key) return next();
+  let result;
+  try {
+    result = await consumeRateLimit(
+      `${name}:${scope}:${key}`,
+      rateLimitConfig[name][scope]
+    );
+  } catch (error) {
+    return next();
+  }
+  if (result.limited) {
+    response.set('Retry-After', String(result.retryAfter));
+    return serverResponse(response, 429, {
+      message: 'too many requests. please try again later'
+    });
+  }
+  next();
+};
+
+export default rateLimit;
@@ -0,0 +1,21 @@
+import Joi from '@hapi/joi';
+import { rating } from '../schemas';
+import { validateInputs } from '../helpers';
+
+/**
+ * Validates the rating given to an article
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateRating = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(req.body, rating, options, validateInputs(res, next));
+};
+
+export default validateRating;
@@ -0,0 +1,59 @@
+import Joi from '@hapi/joi';
+import { report, reportQueueSchema, reportIdSchema } from '../schemas';
+import { validateInputs } from '../helpers';
+
+/**
+ * Validates the reason and note of a report
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateReport = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(req.body, report, options, validateInputs(res, next));
+};
+
+/**
+ * Validates the filters of the report queue
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateReportQueue = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.query,
+    reportQueueSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+/**
+ * Validates the id of the report in the route
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateReportId = (req, res, next) => {
+  Joi.validate(
+    req.params,
+    reportIdSchema,
+    { abortEarly: false },
+    validateInputs(res, next, 400)
+  );
+};
+
+export { validateReport, validateReportQueue, validateReportId };
@@ -0,0 +1,47 @@
+import Joi from '@hapi/joi';
+import { twoFactorCodeSchema, twoFactorLoginSchema } from '../schemas';
+import { validateInputs } from '../helpers';
+
+/**
+ * Validates the code of a two-factor request
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateTwoFactorCode = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.body,
+    twoFactorCodeSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+/**
+ * Validates the challenge token and code of the second login step
+ *
+ * @param {string} req - ExpressJs request object
+ * @param {string} res - ExpressJs response object
+ * @param {string} next - ExpressJs next function
+ * @returns {(JSON|function)} HTTP JSON response or ExpressJs next function
+ */
+const validateTwoFactorLogin = (req, res, next) => {
+  const options = {
+    abortEarly: false
+  };
+
+  Joi.validate(
+    req.body,
+    twoFactorLoginSchema,
+    options,
+    validateInputs(res, next)
+  );
+};
+
+export { validateTwoFactorCode, validateTwoFactorLogin };
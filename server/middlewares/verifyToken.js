@@ -1,6 +1,6 @@
 import jwt from 'jsonwebtoken';
 import models from '../database/models';
-import { serverResponse, findToken } from '../helpers';
+import { serverResponse, findToken, isTokenDenied } from '../helpers';
 
 const { User } = models;
 
@@ -18,6 +18,11 @@ const verifyToken = async (request, response, next) => {
       return serverResponse(response, 401, { message: 'no token provided' });
     }
     const decoded = await jwt.verify(token, process.env.JWT_KEY);
+    if (await isTokenDenied(token)) {
+      return serverResponse(response, 401, {
+        message: 'token has been revoked'
+      });
+    }
     const user = await User.findById(decoded.id);
     if (!user) {
       return serverResponse(response, 404, {
@@ -47,6 +52,7 @@ const getSessionFromToken = async (request, response, next) => {
       message: 'session not found. please re-authenticate to continue'
     });
   }
+  response.locals.session = session;
   next();
 };
 
@@ -10,11 +10,22 @@ const {
   verifyToken,
   validateArticle,
   checkUserVerification,
-  articleEditValidation
+  articleEditValidation,
+  authorizeAuthor,
+  validateUserArticles,
+  validateArticleFeed,
+  validateFollowingFeed
 } = middlewares;
 
 const protectedRoutesMiddlewares = [verifyToken, getSessionFromToken];
 
+router.get('/', validateArticleFeed, Articles.getArticles);
+router.get(
+  '/feed',
+  protectedRoutesMiddlewares,
+  validateFollowingFeed,
+  Articles.feed
+);
 router.post(
   '/create',
   verifyToken,
@@ -33,6 +44,7 @@ router.delete(
   Articles.removeDislike
 );
 router.get('/read/:slug', Articles.viewArticle);
+router.get('/:slug/stats', protectedRoutesMiddlewares, Articles.stats);
 
 router.patch(
   '/update/:slug',
@@ -49,6 +61,26 @@ router.get(
   verifyToken,
   getSessionFromToken,
   checkUserVerification,
+  validateUserArticles,
   Articles.userArticles
 );
+
+router.patch(
+  '/:slug/archive',
+  protectedRoutesMiddlewares,
+  authorizeAuthor(4),
+  Articles.archive
+);
+router.patch(
+  '/:slug/unarchive',
+  protectedRoutesMiddlewares,
+  authorizeAuthor(4),
+  Articles.unarchive
+);
+router.delete(
+  '/:slug',
+  protectedRoutesMiddlewares,
+  authorizeAuthor(4),
+  Articles.delete
+);
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import Bookmarks from '../controllers/Bookmarks';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const { verifyToken, getSessionFromToken } = middlewares;
+
+const protectedRoutesMiddlewares = [verifyToken, getSessionFromToken];
+
+route.post('/:slug/bookmark', protectedRoutesMiddlewares, Bookmarks.create);
+route.delete('/:slug/bookmark', protectedRoutesMiddlewares, Bookmarks.destroy);
+
+export default route;
@@ -8,7 +8,9 @@ const {
   verifyToken,
   validateCommentBody,
   getSessionFromToken,
-  checkUserVerification
+  checkUserVerification,
+  validatePagination,
+  validateCommentListing
 } = middlewares;
 
 route.post(
@@ -37,6 +39,41 @@ route.delete(
   Comments.delete
 );
 
-route.get('/:slug/comments', Comments.getArticleComments);
+route.post(
+  '/:slug/comments/:id/replies',
+  validateCommentBody,
+  verifyToken,
+  getSessionFromToken,
+  checkUserVerification,
+  Comments.create
+);
+
+route.post(
+  '/:slug/comments/:id/:reaction(like|dislike)',
+  verifyToken,
+  getSessionFromToken,
+  checkUserVerification,
+  Comments.addReaction
+);
+
+route.delete(
+  '/:slug/comments/:id/:reaction(like|dislike)',
+  verifyToken,
+  getSessionFromToken,
+  checkUserVerification,
+  Comments.removeReaction
+);
+
+route.get(
+  '/:slug/comments',
+  validateCommentListing,
+  Comments.getArticleComments
+);
+route.get('/:slug/comments/:id/history', Comments.getHistory);
+route.get(
+  '/:slug/comments/:id/replies',
+  validatePagination,
+  Comments.getReplies
+);
 
 export default route;
@@ -0,0 +1,19 @@
+import express from 'express';
+import Emails from '../controllers/Emails';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const {
+  verifyToken,
+  getSessionFromToken,
+  authorizeUser,
+  validateEmailQuery
+} = middlewares;
+
+const adminMiddlewares = [verifyToken, getSessionFromToken, authorizeUser(4)];
+
+route.get('/', adminMiddlewares, validateEmailQuery, Emails.getAll);
+route.get('/:id', adminMiddlewares, Emails.getOne);
+
+export default route;
@@ -0,0 +1,11 @@
+import express from 'express';
+import Events from '../controllers/Events';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const { verifyToken, getSessionFromToken } = middlewares;
+
+route.get('/', verifyToken, getSessionFromToken, Events.stream);
+
+export default route;
@@ -10,6 +10,14 @@ import tag from './tag';
 import comment from './comment';
 import category from './category';
 import search from './search';
+import revision from './revision';
+import bookmark from './bookmark';
+import rating from './rating';
+import report from './report';
+import moderation from './moderation';
+import notification from './notification';
+import event from './event';
+import email from './email';
 
 const route = express.Router();
 
@@ -18,9 +26,21 @@ route.use('/sessions', session);
 route.use('/auth', auth);
 route.use('/profiles', profile, follower);
 route.use('/user', userFollower);
-route.use('/articles', article, comment);
+route.use(
+  '/articles',
+  article,
+  comment,
+  revision,
+  bookmark,
+  rating,
+  report
+);
 route.use('/tags', tag);
 route.use('/categories', category);
 route.use('/search', search);
+route.use('/reports', moderation);
+route.use('/notifications', notification);
+route.use('/events', event);
+route.use('/emails', email);
 
 export default route;
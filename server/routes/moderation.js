@@ -0,0 +1,37 @@
+import express from 'express';
+import Reports from '../controllers/Reports';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const {
+  verifyToken,
+  getSessionFromToken,
+  authorizeUser,
+  validateReportQueue,
+  validateReportId
+} = middlewares;
+
+const adminMiddlewares = [verifyToken, getSessionFromToken, authorizeUser(4)];
+
+route.get('/', adminMiddlewares, validateReportQueue, Reports.getAll);
+route.patch(
+  '/:id/resolve',
+  adminMiddlewares,
+  validateReportId,
+  Reports.resolve
+);
+route.patch(
+  '/:id/dismiss',
+  adminMiddlewares,
+  validateReportId,
+  Reports.dismiss
+);
+route.patch(
+  '/:id/action',
+  adminMiddlewares,
+  validateReportId,
+  Reports.action
+);
+
+export default route;
@@ -0,0 +1,39 @@
+import express from 'express';
+import Notifications from '../controllers/Notifications';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const {
+  verifyToken,
+  getSessionFromToken,
+  validateNotificationQuery
+} = middlewares;
+
+route.get(
+  '/',
+  verifyToken,
+  getSessionFromToken,
+  validateNotificationQuery,
+  Notifications.getAll
+);
+route.get(
+  '/unread-count',
+  verifyToken,
+  getSessionFromToken,
+  Notifications.unreadCount
+);
+route.patch(
+  '/read-all',
+  verifyToken,
+  getSessionFromToken,
+  Notifications.markAllRead
+);
+route.patch(
+  '/:id/read',
+  verifyToken,
+  getSessionFromToken,
+  Notifications.markRead
+);
+
+export default route;
@@ -0,0 +1,20 @@
+import express from 'express';
+import Ratings from '../controllers/Ratings';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const { verifyToken, getSessionFromToken, validateRating } = middlewares;
+
+const protectedRoutesMiddlewares = [verifyToken, getSessionFromToken];
+
+route.put(
+  '/:slug/rating',
+  protectedRoutesMiddlewares,
+  validateRating,
+  Ratings.rate
+);
+route.delete('/:slug/rating', protectedRoutesMiddlewares, Ratings.remove);
+route.get('/:slug/ratings', Ratings.getAll);
+
+export default route;
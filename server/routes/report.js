@@ -0,0 +1,24 @@
+import express from 'express';
+import Reports from '../controllers/Reports';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const { verifyToken, getSessionFromToken, validateReport } = middlewares;
+
+const protectedRoutesMiddlewares = [verifyToken, getSessionFromToken];
+
+route.post(
+  '/:slug/report',
+  protectedRoutesMiddlewares,
+  validateReport,
+  Reports.reportArticle
+);
+route.post(
+  '/:slug/comments/:id/report',
+  protectedRoutesMiddlewares,
+  validateReport,
+  Reports.reportComment
+);
+
+export default route;
@@ -0,0 +1,31 @@
+import express from 'express';
+import Revisions from '../controllers/Revisions';
+import middlewares from '../middlewares';
+
+const route = express.Router();
+
+const { verifyToken, getSessionFromToken, checkUserVerification } = middlewares;
+
+route.get(
+  '/:slug/revisions',
+  verifyToken,
+  getSessionFromToken,
+  Revisions.getAll
+);
+
+route.get(
+  '/:slug/revisions/:revision/diff',
+  verifyToken,
+  getSessionFromToken,
+  Revisions.getDiff
+);
+
+route.post(
+  '/:slug/revisions/:revision/restore',
+  verifyToken,
+  getSessionFromToken,
+  checkUserVerification,
+  Revisions.restore
+);
+
+export default route;
@@ -1,9 +1,31 @@
 import express from 'express';
 import Sessions from '../controllers/Sessions';
+import middlewares from '../middlewares';
 
 const router = express.Router();
 
-router.post('/create', Sessions.create);
-router.get('/destroy', Sessions.destroy);
+const {
+  verifyToken,
+  getSessionFromToken,
+  validateTwoFactorLogin,
+  rateLimit
+} = middlewares;
+
+router.post('/create', rateLimit('login', 'ip'), Sessions.create);
+router.post(
+  '/2fa',
+  rateLimit('login', 'ip'),
+  validateTwoFactorLogin,
+  Sessions.verifyTwoFactor
+);
+router.post('/social', Sessions.socialSignIn);
+router.post('/refresh', Sessions.refresh);
+router
+  .route('/destroy')
+  .post(verifyToken, getSessionFromToken, Sessions.destroy)
+  .delete(verifyToken, getSessionFromToken, Sessions.destroy);
+router.get('/', verifyToken, getSessionFromToken, Sessions.getAll);
+router.delete('/', verifyToken, getSessionFromToken, Sessions.revokeOthers);
+router.delete('/:id', verifyToken, getSessionFromToken, Sessions.revoke);
 
 export default router;
@@ -9,12 +9,18 @@ const {
   validateUserPassword,
   validateUserSignup,
   getSessionFromToken,
-  validateResetPassword
+  validateResetPassword,
+  rateLimit
 } = middlewares;
 
 route.post('/create', validateUserSignup, Users.create);
 route.get('/verifyEmail/:token', verifyToken, Users.verifyUserEmail);
-route.get('/verificationEmail/:email', Users.resendVerificationEmail);
+route.get(
+  '/verificationEmail/:email',
+  rateLimit('verificationEmail', 'ip'),
+  rateLimit('verificationEmail', 'account'),
+  Users.resendVerificationEmail
+);
 route.patch(
   '/changePassword',
   verifyToken,
@@ -24,7 +30,9 @@ route.patch(
 );
 route.post(
   '/resetpassword',
+  rateLimit('resetPassword', 'ip'),
   validateResetPassword.email,
+  rateLimit('resetPassword', 'account'),
   Users.requestPasswordResetLink
 );
 route.patch(
@@ -1,6 +1,13 @@
 import express from 'express';
 import Followers from '../controllers/Followers';
+import Bookmarks from '../controllers/Bookmarks';
+import Notifications from '../controllers/Notifications';
+import TwoFactor from '../controllers/TwoFactor';
 import { verifyToken, getSessionFromToken } from '../middlewares/verifyToken';
+import validatePagination from '../middlewares/paginationValidation';
+import validateNotificationSettings
+  from '../middlewares/notificationSettingsValidation';
+import { validateTwoFactorCode } from '../middlewares/twoFactorValidation';
 
 const route = express.Router();
 
@@ -16,5 +23,40 @@ route.get(
   getSessionFromToken,
   Followers.allFollowings
 );
+route.get(
+  '/bookmarks',
+  verifyToken,
+  getSessionFromToken,
+  validatePagination,
+  Bookmarks.getAll
+);
+route.get(
+  '/notification-settings',
+  verifyToken,
+  getSessionFromToken,
+  Notifications.getSettings
+);
+route.put(
+  '/notification-settings',
+  verifyToken,
+  getSessionFromToken,
+  validateNotificationSettings,
+  Notifications.updateSettings
+);
+route.post('/2fa/enrol', verifyToken, getSessionFromToken, TwoFactor.enrol);
+route.post(
+  '/2fa/confirm',
+  verifyToken,
+  getSessionFromToken,
+  validateTwoFactorCode,
+  TwoFactor.confirm
+);
+route.post(
+  '/2fa/disable',
+  verifyToken,
+  getSessionFromToken,
+  validateTwoFactorCode,
+  TwoFactor.disable
+);
 
 export default route;
@@ -11,8 +11,17 @@ export default {
     .max(250)
     .error(setCustomMessage('title')),
   status: Joi.string()
-    .valid('publish', 'draft')
+    .valid('publish', 'draft', 'scheduled')
     .error(setCustomMessage('status', 'valid status')),
+  publishAt: Joi.date()
+    .iso()
+    .greater('now')
+    .when('status', {
+      is: 'scheduled',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .error(setCustomMessage('publish at', 'scheduled date')),
   articleBody: Joi.string()
     .min(2)
     .error(setCustomMessage('article Body')),
@@ -0,0 +1,55 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  page: Joi.number()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page')),
+  pageItems: Joi.number()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page Items')),
+  sort: Joi.string()
+    .optional()
+    .valid(
+      'latest',
+      'popular',
+      'mostViewed',
+      'mostLiked',
+      'shortest',
+      'longest'
+    )
+    .error(setCustomMessage('Sort', 'valid option')),
+  category: Joi.string()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Category')),
+  tag: Joi.string()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Tag')),
+  author: Joi.string()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Author')),
+  from: Joi.date()
+    .iso()
+    .optional()
+    .error(setCustomMessage('From')),
+  to: Joi.date()
+    .iso()
+    .optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .error(setCustomMessage('To')),
+  minReadTime: Joi.number()
+    .integer()
+    .optional()
+    .min(0)
+    .error(setCustomMessage('Min Read Time')),
+  maxReadTime: Joi.number()
+    .integer()
+    .optional()
+    .min(0)
+    .error(setCustomMessage('Max Read Time'))
+};
@@ -6,5 +6,21 @@ export default {
     .required()
     .min(2)
     .max(5000)
-    .error(setCustomMessage('comment'))
+    .error(setCustomMessage('comment')),
+  anchor: Joi.object().keys({
+    start: Joi.number()
+      .integer()
+      .required()
+      .min(0)
+      .error(setCustomMessage('anchor start')),
+    end: Joi.number()
+      .integer()
+      .required()
+      .greater(Joi.ref('start'))
+      .error(setCustomMessage('anchor end')),
+    quote: Joi.string()
+      .required()
+      .max(1000)
+      .error(setCustomMessage('anchor quote'))
+  })
 };
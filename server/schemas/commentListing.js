@@ -0,0 +1,20 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  page: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page')),
+  pageItems: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .max(50)
+    .error(setCustomMessage('Page Items')),
+  sort: Joi.string()
+    .optional()
+    .valid('newest', 'oldest', 'top')
+    .error(setCustomMessage('Sort', 'valid option'))
+};
@@ -0,0 +1,24 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  status: Joi.string()
+    .optional()
+    .valid('queued', 'sent', 'failed')
+    .error(setCustomMessage('status', 'valid option')),
+  to: Joi.string()
+    .optional()
+    .email()
+    .error(setCustomMessage('to')),
+  page: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page')),
+  pageItems: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .max(50)
+    .error(setCustomMessage('Page Items'))
+};
@@ -0,0 +1,15 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  pageItems: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .max(50)
+    .error(setCustomMessage('Page Items')),
+  cursor: Joi.string()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Cursor'))
+};
@@ -6,6 +6,19 @@ import articleEdit from './articleEdit';
 import comment from './comment';
 import category from './category';
 import searchSchema from './search';
+import userArticlesSchema from './userArticles';
+import articleFeedSchema from './articleFeed';
+import followingFeedSchema from './followingFeed';
+import rating from './rating';
+import report from './report';
+import reportQueueSchema from './reportQueue';
+import reportIdSchema from './reportId';
+import commentListingSchema from './commentListing';
+import notificationQuerySchema from './notificationQuery';
+import notificationSettingsSchema from './notificationSettings';
+import emailQuerySchema from './emailQuery';
+import twoFactorCodeSchema from './twoFactorCode';
+import twoFactorLoginSchema from './twoFactorLogin';
 
 export {
   userSignup,
@@ -15,5 +28,18 @@ export {
   paginationSchema,
   comment,
   searchSchema,
-  articleEdit
+  articleEdit,
+  userArticlesSchema,
+  articleFeedSchema,
+  followingFeedSchema,
+  rating,
+  report,
+  reportQueueSchema,
+  reportIdSchema,
+  commentListingSchema,
+  notificationQuerySchema,
+  notificationSettingsSchema,
+  emailQuerySchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema
 };
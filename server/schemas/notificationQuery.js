@@ -0,0 +1,19 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  page: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page')),
+  pageItems: Joi.number()
+    .integer()
+    .optional()
+    .min(1)
+    .max(50)
+    .error(setCustomMessage('Page Items')),
+  unread: Joi.boolean()
+    .optional()
+    .error(setCustomMessage('Unread'))
+};
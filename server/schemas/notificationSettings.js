@@ -0,0 +1,24 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+/**
+ * @name channel
+ * @param {String} label label of the event type
+ * @returns {Object} Joi schema for a notification channel
+ */
+const channel = label => Joi.string()
+  .optional()
+  .valid('inApp', 'email', 'both', 'none')
+  .error(setCustomMessage(label, 'valid option'));
+
+export default {
+  follow: channel('follow'),
+  comment: channel('comment'),
+  like: channel('like'),
+  mention: channel('mention'),
+  article: channel('article'),
+  digest: Joi.string()
+    .optional()
+    .valid('daily', 'weekly')
+    .error(setCustomMessage('digest', 'valid option'))
+};
@@ -0,0 +1,11 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  rating: Joi.number()
+    .integer()
+    .required()
+    .min(1)
+    .max(5)
+    .error(setCustomMessage('rating'))
+};
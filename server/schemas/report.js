@@ -0,0 +1,14 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  reason: Joi.string()
+    .required()
+    .valid('plagiarism', 'spam', 'abuse', 'other')
+    .error(setCustomMessage('reason', 'valid option')),
+  note: Joi.string()
+    .optional()
+    .allow('')
+    .max(1000)
+    .error(setCustomMessage('note'))
+};
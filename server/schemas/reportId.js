@@ -0,0 +1,10 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  id: Joi.number()
+    .integer()
+    .max(2147483647)
+    .required()
+    .error(setCustomMessage('Report id'))
+};
@@ -0,0 +1,21 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  status: Joi.string()
+    .optional()
+    .valid('pending', 'resolved', 'dismissed', 'actioned')
+    .error(setCustomMessage('status', 'valid option')),
+  contentType: Joi.string()
+    .optional()
+    .valid('article', 'comment')
+    .error(setCustomMessage('content type', 'valid option')),
+  page: Joi.number()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page')),
+  pageItems: Joi.number()
+    .optional()
+    .min(1)
+    .error(setCustomMessage('Page Items'))
+};
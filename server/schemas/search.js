@@ -26,5 +26,19 @@ export default {
   pageItems: Joi.number()
     .optional()
     .min(1)
-    .error(setCustomMessage('Page Items'))
+    .error(setCustomMessage('Page Items')),
+  sort: Joi.string()
+    .optional()
+    .valid('shortest', 'longest')
+    .error(setCustomMessage('Sort', 'valid option')),
+  minReadTime: Joi.number()
+    .integer()
+    .optional()
+    .min(0)
+    .error(setCustomMessage('Min Read Time')),
+  maxReadTime: Joi.number()
+    .integer()
+    .optional()
+    .min(0)
+    .error(setCustomMessage('Max Read Time'))
 };
@@ -0,0 +1,10 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  code: Joi.string()
+    .trim()
+    .required()
+    .max(20)
+    .error(setCustomMessage('code'))
+};
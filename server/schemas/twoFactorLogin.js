@@ -0,0 +1,10 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+import twoFactorCode from './twoFactorCode';
+
+export default {
+  ...twoFactorCode,
+  challengeToken: Joi.string()
+    .required()
+    .error(setCustomMessage('challenge token'))
+};
@@ -0,0 +1,8 @@
+import Joi from '@hapi/joi';
+import { setCustomMessage } from '../helpers';
+
+export default {
+  archived: Joi.boolean()
+    .optional()
+    .error(setCustomMessage('archived'))
+};
@@ -167,6 +167,31 @@ const checkmateArticleData = {
   category: 'sport'
 };
 
+/**
+ * @name getNewArticle
+ * @returns {Object} details of an article to be published, safe to change
+ */
+const getNewArticle = () => {
+  const newArticle = {
+    title: ' is simply dummy text of the printing and typesetting ',
+    description: 'ext ever since the 1500s, when an unknown printer',
+    articleBody: 'ext ever since the 1500s, when an unknown printer took a ga',
+    status: 'publish',
+    tags: 'tech,business',
+    category: 'sport'
+  };
+  return newArticle;
+};
+
+const scheduledArticleData = {
+  title: ' scheduled for later ',
+  description: 'ext ever since the 1500s, when an unknown printer',
+  articleBody: 'ext ever since the 1500s, when an unknown printer took a ga',
+  status: 'scheduled',
+  publishAt: new Date(Date.now() + 24 * 3600000).toISOString(),
+  category: 'sport'
+};
+
 export {
   ArticleData,
   ArticleData2,
@@ -185,5 +210,7 @@ export {
   categoryDetails,
   ArticleData3,
   surplusTagArticleData,
-  checkmateArticleData
+  checkmateArticleData,
+  scheduledArticleData,
+  getNewArticle
 };
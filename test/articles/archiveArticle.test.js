@@ -0,0 +1,198 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { ArticleData10, getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article } = models;
+const author = getNewUser();
+const reader = getNewUser();
+const articleData = getNewArticle();
+let authorToken, readerToken, adminToken, slug, adminSlug;
+
+describe('Archive And Delete Article Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+
+    const readerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...reader, confirmPassword: reader.password });
+    readerToken = readerResponse.body.token;
+
+    const adminResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/sessions/create`)
+      .send({ userLogin: 'demoUser', password: 'incorrect' });
+    adminToken = adminResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const adminArticleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(ArticleData10);
+    adminSlug = adminArticleResponse.body.slug;
+  });
+
+  context('when a user that is not the author archives an article', () => {
+    it('returns an unauthorized error', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/archive`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error).to.equal('unauthorized user');
+    });
+  });
+
+  context('when the author archives an article', () => {
+    it('archives the article', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/archive`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.isArchived).to.equal(true);
+    });
+
+    it('hides the article from readers', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`);
+      expect(response).to.have.status(404);
+    });
+
+    it('does not archive the article twice', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/archive`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(409);
+      expect(response.body.error).to.equal('article is already archived');
+    });
+
+    it('lists the article among the archived articles', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/user?archived=true`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.articles.total).to.equal(1);
+      expect(response.body.articles.data[0].slug).to.equal(slug);
+    });
+
+    it('rejects an invalid archived filter', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/user?archived=maybe`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.archived).to.equal(
+        'archived must be either true or false'
+      );
+    });
+  });
+
+  context('when the author unarchives an article', () => {
+    it('unarchives the article', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/unarchive`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.isArchived).to.equal(false);
+    });
+
+    it('does not unarchive an article that is not archived', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/unarchive`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(409);
+      expect(response.body.error).to.equal('article is not archived');
+    });
+  });
+
+  context('when an admin archives an article of another user', () => {
+    it('archives the article', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${adminSlug}/archive`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.isArchived).to.equal(true);
+    });
+  });
+
+  context('when an article is deleted', () => {
+    it('does not allow a user that is not the author', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(403);
+    });
+
+    it('soft deletes the article for the author', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('article deleted');
+
+      const deletedArticle = await Article.findOne({
+        where: { slug },
+        paranoid: false
+      });
+      expect(deletedArticle.deletedAt).to.not.equal(null);
+    });
+
+    it('returns not found once the article is deleted', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+
+    it('allows an admin to delete an article of another user', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${adminSlug}`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+    });
+  });
+
+  context('when there is an internal error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Article, 'findBySlug')
+        .throws(new Error('server error'));
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/${slug}/archive`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
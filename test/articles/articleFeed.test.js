@@ -0,0 +1,129 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article } = models;
+const author = getNewUser();
+const FEED_URL = `${BASE_URL}/articles?author=${author.userName}`;
+const articleData = getNewArticle();
+let firstSlug, secondSlug;
+
+describe('Article Feed Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    const authorToken = authorResponse.body.token;
+
+    const firstResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    firstSlug = firstResponse.body.slug;
+
+    const secondResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send({ ...articleData, title: 'a feed about dragons', tags: 'dragons' });
+    secondSlug = secondResponse.body.slug;
+
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/${firstSlug}/like`)
+      .set('Authorization', authorToken);
+  });
+
+  context('when a reader requests the articles of an author', () => {
+    it('returns the latest articles first in a page', async () => {
+      const response = await chai.request(app).get(FEED_URL);
+      const { results } = response.body.data;
+      expect(response).to.have.status(200);
+      expect(response.body).to.have.keys(
+        'currentPage',
+        'totalPages',
+        'itemsOnPage',
+        'data'
+      );
+      expect(response.body.currentPage).to.equal(1);
+      expect(response.body.itemsOnPage).to.equal(2);
+      expect(response.body.data.count).to.equal(2);
+      expect(results.map(({ slug }) => slug)).to.deep.equal([
+        secondSlug,
+        firstSlug
+      ]);
+      expect(results[0].Author.userName).to.equal(author.userName);
+    });
+  });
+
+  context('when a reader sorts the articles by likes', () => {
+    it('returns the most liked article first', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${FEED_URL}&sort=mostLiked`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.results[0].slug).to.equal(firstSlug);
+    });
+  });
+
+  context('when a reader filters the articles by tag and category', () => {
+    it('returns only the matching articles', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${FEED_URL}&tag=Dragons&category=Other`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(1);
+      expect(response.body.data.results[0].slug).to.equal(secondSlug);
+      expect(response.body.data.results[0].tags).to.deep.include({
+        name: 'dragons'
+      });
+    });
+  });
+
+  context('when a reader filters the articles by publish date', () => {
+    it('returns no articles published after the range', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${FEED_URL}&to=2019-01-01`);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(0);
+      expect(response.body.itemsOnPage).to.equal(0);
+    });
+  });
+
+  context('when a reader sends invalid feed options', () => {
+    it('returns the validation errors', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles?sort=oldest&from=2019-10-01&to=2019-09-01`);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.sort).to.equal(
+        'Sort must be one of latest, popular, mostViewed, mostLiked, '
+          + 'shortest, longest'
+      );
+      expect(response.body.errors.to).to.equal(
+        'To must not be before the start date'
+      );
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Article, 'findByPage')
+        .rejects(new Error('Server Error'));
+      const response = await chai.request(app).get(`${BASE_URL}/articles`);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
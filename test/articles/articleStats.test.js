@@ -0,0 +1,187 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article, ArticleView } = models;
+const author = getNewUser();
+const reader = getNewUser();
+const articleData = getNewArticle();
+let authorToken, readerToken, slug;
+
+describe('Article Views And Stats Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+
+    const readerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...reader, confirmPassword: reader.password });
+    readerToken = readerResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+  });
+
+  context('when an anonymous reader refreshes an article', () => {
+    it('counts a single view', async () => {
+      await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('user-agent', 'stats-test-agent');
+      await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('user-agent', 'stats-test-agent');
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.stats.totalViews).to.equal(1);
+      expect(response.body.stats.uniqueReaders).to.equal(1);
+    });
+  });
+
+  context('when a signed in reader views an article', () => {
+    it('counts the reader once', async () => {
+      await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('Authorization', readerToken);
+      await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('Authorization', readerToken);
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.stats.totalViews).to.equal(2);
+      expect(response.body.stats.uniqueReaders).to.equal(2);
+    });
+  });
+
+  context('when the author views their own article', () => {
+    it('does not count the view', async () => {
+      await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('Authorization', authorToken);
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', authorToken);
+      expect(response.body.stats.totalViews).to.equal(2);
+    });
+  });
+
+  context('when the author requests the stats of an article', () => {
+    it('returns the likes, dislikes and daily time series', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', authorToken);
+      const { stats } = response.body;
+      expect(response).to.have.status(200);
+      expect(stats).to.have.keys(
+        'totalViews',
+        'uniqueReaders',
+        'likes',
+        'dislikes',
+        'timeSeries'
+      );
+      expect(stats.timeSeries).to.have.length(1);
+      expect(stats.timeSeries[0]).to.deep.equal({
+        date: new Date().toISOString().slice(0, 10),
+        views: 2,
+        uniqueReaders: 2
+      });
+    });
+  });
+
+  context('when a user that is not the author requests the stats', () => {
+    it('returns a permission error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error).to.equal(
+        "you don't have permission to access this content"
+      );
+    });
+  });
+
+  context('when the article does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/no-such-article/stats`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(ArticleView, 'getStats')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/stats`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+
+  context('when a reader comes back to an article', () => {
+    it('counts a new view only after 30 minutes', async () => {
+      const article = await Article.findBySlug(slug);
+      const clock = sinon.useFakeTimers({
+        now: Date.parse('2019-10-04T10:29:30Z'),
+        toFake: ['Date']
+      });
+      const views = [await ArticleView.record(article, 'returning-reader')];
+      clock.tick(60 * 1000);
+      views.push(await ArticleView.record(article, 'returning-reader'));
+      clock.tick(29 * 60 * 1000);
+      views.push(await ArticleView.record(article, 'returning-reader'));
+      clock.restore();
+      expect(views).to.deep.equal([true, false, true]);
+    });
+  });
+
+  context('when anonymous readers share a browser but not an address', () => {
+    it('counts each reader the proxy forwards', async () => {
+      const { views } = await Article.findBySlug(slug);
+      await Promise.all(
+        ['203.0.113.7', '198.51.100.23'].map(address => chai
+          .request(app)
+          .get(`${BASE_URL}/articles/read/${slug}`)
+          .set('user-agent', 'stats-test-agent')
+          .set('X-Forwarded-For', address))
+      );
+      const article = await Article.findBySlug(slug);
+      expect(article.views).to.equal(views + 2);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { ArticleData4, getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Bookmark } = models;
+const author = getNewUser();
+const reader = getNewUser();
+const articleData = getNewArticle();
+let authorToken, readerToken, slug, draftSlug;
+
+describe('Bookmarks Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+
+    const readerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...reader, confirmPassword: reader.password });
+    readerToken = readerResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const draftResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(ArticleData4);
+    draftSlug = draftResponse.body.slug;
+  });
+
+  context('when a reader bookmarks an article', () => {
+    it('saves the bookmark', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/bookmark`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(201);
+      expect(response.body.message).to.equal(
+        'article bookmarked successfully'
+      );
+    });
+
+    it('does not save the bookmark twice', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/bookmark`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal(
+        'you have already bookmarked this article'
+      );
+    });
+
+    it('flags the article as bookmarked when it is viewed', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.bookmarked).to.equal(true);
+    });
+  });
+
+  context('when the author views an article they did not bookmark', () => {
+    it('flags the article as not bookmarked', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.bookmarked).to.equal(false);
+    });
+  });
+
+  context('when a reader bookmarks an unpublished article', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${draftSlug}/bookmark`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+  });
+
+  context('when a reader lists their bookmarks', () => {
+    it('returns a page of bookmarked articles', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/user/bookmarks?page=1&pageItems=5`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.currentPage).to.equal(1);
+      expect(response.body.itemsOnPage).to.equal(1);
+      expect(response.body.data.count).to.equal(1);
+      expect(response.body.data.results[0].article.slug).to.equal(slug);
+    });
+
+    it('returns an error for an invalid page', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/user/bookmarks?page=0`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(422);
+    });
+  });
+
+  context('when a reader removes a bookmark', () => {
+    it('removes the bookmark', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}/bookmark`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('bookmark removed successfully');
+    });
+
+    it('returns an error when the bookmark does not exist', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}/bookmark`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('bookmark not found');
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Bookmark, 'findAndCountAll')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/user/bookmarks`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
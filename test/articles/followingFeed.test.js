@@ -0,0 +1,144 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article, Category, sequelize } = models;
+const FEED_URL = `${BASE_URL}/articles/feed`;
+const reader = getNewUser();
+const followedAuthor = getNewUser();
+const otherAuthor = getNewUser();
+let readerToken, followedSlug, categorySlug, otherSlug;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {Object} the created user and token
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body;
+};
+
+/**
+ * @name createArticle
+ * @param {String} token token of the author
+ * @param {Object} article article details
+ * @returns {String} slug of the created article
+ */
+const createArticle = async (token, article) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/articles/create`)
+    .set('Authorization', token)
+    .send(article);
+  return response.body.slug;
+};
+
+describe('Following Feed Test', () => {
+  before(async () => {
+    const { user, token } = await signUp(reader);
+    readerToken = token;
+    const { token: followedToken } = await signUp(followedAuthor);
+    const { token: otherToken } = await signUp(otherAuthor);
+
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/profiles/${followedAuthor.userName}/follow`)
+      .set('Authorization', readerToken);
+    const category = await Category.create({ name: 'following-feed' });
+    await sequelize.getQueryInterface().bulkInsert('UserCategory', [
+      {
+        userId: user.id,
+        categoryId: category.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ]);
+
+    const article = getNewArticle();
+    followedSlug = await createArticle(followedToken, article);
+    otherSlug = await createArticle(otherToken, article);
+    categorySlug = await createArticle(otherToken, {
+      ...article,
+      category: category.name
+    });
+    await createArticle(readerToken, { ...article, category: category.name });
+  });
+
+  context('when a signed in reader requests their feed', () => {
+    it('returns articles by followed authors and categories', async () => {
+      const response = await chai
+        .request(app)
+        .get(FEED_URL)
+        .set('Authorization', readerToken);
+      const slugs = response.body.data.results.map(({ slug }) => slug);
+      expect(response).to.have.status(200);
+      expect(slugs).to.deep.equal([categorySlug, followedSlug]);
+      expect(slugs).to.not.include(otherSlug);
+      expect(response.body.nextCursor).to.equal(null);
+    });
+  });
+
+  context('when the reader scrolls through the feed', () => {
+    it('returns the next page without skipping or repeating', async () => {
+      const firstPage = await chai
+        .request(app)
+        .get(`${FEED_URL}?pageItems=1`)
+        .set('Authorization', readerToken);
+      const { nextCursor } = firstPage.body;
+      expect(firstPage.body.data.results[0].slug).to.equal(categorySlug);
+      expect(nextCursor).to.be.a('string');
+
+      await createArticle(readerToken, getNewArticle());
+      const secondPage = await chai
+        .request(app)
+        .get(`${FEED_URL}?pageItems=1&cursor=${nextCursor}`)
+        .set('Authorization', readerToken);
+      expect(secondPage).to.have.status(200);
+      expect(secondPage.body.data.results[0].slug).to.equal(followedSlug);
+      expect(secondPage.body.nextCursor).to.equal(null);
+    });
+  });
+
+  context('when the cursor is invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${FEED_URL}?cursor=invalid`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.cursor).to.equal('Cursor is invalid');
+    });
+  });
+
+  context('when the reader is not signed in', () => {
+    it('returns an authorization error', async () => {
+      const response = await chai.request(app).get(FEED_URL);
+      expect(response).to.have.status(401);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Article, 'findFeed')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(FEED_URL)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
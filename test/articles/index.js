@@ -4,6 +4,16 @@ import * as removeArticleLikeOrDislike from './removeArticleLikeOrDislike.test';
 import * as updateArticle from './update.test';
 import * as getUserArticle from './getUserArticles.test';
 import * as viewArticle from './viewArticle.test';
+import * as articleRevisions from './revisions.test';
+import * as scheduledPublishing from './scheduledPublishing.test';
+import * as archiveArticle from './archiveArticle.test';
+import * as articleStats from './articleStats.test';
+import * as readingTime from './readingTime.test';
+import * as articleFeed from './articleFeed.test';
+import * as followingFeed from './followingFeed.test';
+import * as bookmarks from './bookmarks.test';
+import * as ratings from './ratings.test';
+import * as mentions from './mentions.test';
 
 export {
   createArticle,
@@ -11,5 +21,15 @@ export {
   removeArticleLikeOrDislike,
   updateArticle,
   getUserArticle,
-  viewArticle
+  viewArticle,
+  articleRevisions,
+  scheduledPublishing,
+  archiveArticle,
+  articleStats,
+  readingTime,
+  articleFeed,
+  followingFeed,
+  bookmarks,
+  ratings,
+  mentions
 };
@@ -0,0 +1,104 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from './__mocks__';
+
+const { Mention, Notification, User } = models;
+
+chai.use(chaiHttp);
+
+const { BASE_URL, SERVER_URL } = process.env;
+const author = getNewUser();
+const mentioned = getNewUser();
+const article = getNewArticle();
+let authorToken, mentionedToken, slug;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+/**
+ * @name mentionNotifications
+ * @param {String} userName username of the mentioned user
+ * @returns {Number} number of mention notifications the user has
+ */
+const mentionNotifications = async (userName) => {
+  const user = await User.findByUsername(userName);
+  return Notification.count({ where: { userId: user.id, type: 'mention' } });
+};
+
+describe('Mentions Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    mentionedToken = await signUp(mentioned);
+  });
+
+  context('when an article mentions a user', () => {
+    it('stores the mention and notifies the user', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', authorToken)
+        .send({
+          ...article,
+          articleBody: `${article.articleBody} thanks @${
+            mentioned.userName
+          } and @${author.userName}`
+        });
+      ({ slug } = response.body);
+      const mentions = await Mention.findAll({
+        where: { contentType: 'article', contentId: response.body.id }
+      });
+      expect(response).to.have.status(200);
+      expect(mentions).to.have.length(1);
+      expect(await mentionNotifications(mentioned.userName)).to.equal(1);
+      expect(await mentionNotifications(author.userName)).to.equal(0);
+    });
+
+    it('does not notify the user again on edit', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/update/${slug}`)
+        .set('Authorization', authorToken)
+        .send({ articleBody: `edited, still thanks @${mentioned.userName}` });
+      expect(response).to.have.status(200);
+      expect(await mentionNotifications(mentioned.userName)).to.equal(1);
+    });
+
+    it('renders the mention as a profile link', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`);
+      expect(response).to.have.status(200);
+      expect(response.body.article.articleBody).to.include(
+        `<a href="${SERVER_URL}${BASE_URL}/profiles/${mentioned.userName}">`
+      );
+    });
+  });
+
+  context('when a comment mentions a user', () => {
+    it('notifies the user and renders the mention', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments`)
+        .set('Authorization', mentionedToken)
+        .send({ comment: `what do you think @${author.userName}?` });
+      expect(response).to.have.status(201);
+      expect(await mentionNotifications(author.userName)).to.equal(1);
+      expect(response.body.comment.comment).to.include(
+        `/profiles/${author.userName}">@${author.userName}</a>`
+      );
+    });
+  });
+});
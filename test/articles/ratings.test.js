@@ -0,0 +1,164 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Rating } = models;
+const author = getNewUser();
+const firstReader = getNewUser();
+const secondReader = getNewUser();
+const articleData = getNewArticle();
+let authorToken, firstReaderToken, secondReaderToken, slug;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+/**
+ * @name rate
+ * @param {String} token token of the user
+ * @param {Number} rating rating to give the article
+ * @returns {Object} the response of the request
+ */
+const rate = (token, rating) => chai
+  .request(app)
+  .put(`${BASE_URL}/articles/${slug}/rating`)
+  .set('Authorization', token)
+  .send({ rating });
+
+describe('Article Rating Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    firstReaderToken = await signUp(firstReader);
+    secondReaderToken = await signUp(secondReader);
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+  });
+
+  context('when readers rate an article', () => {
+    it('adds the ratings and averages them on the article', async () => {
+      const firstResponse = await rate(firstReaderToken, 5);
+      expect(firstResponse).to.have.status(201);
+      expect(firstResponse.body.message).to.equal('rating added successfully');
+
+      const response = await rate(secondReaderToken, 3);
+      expect(response).to.have.status(201);
+      expect(response.body.rating).to.equal(3);
+      expect(response.body.article).to.deep.equal({
+        slug,
+        rating: 4,
+        ratingsCount: 2
+      });
+    });
+  });
+
+  context('when a reader rates an article again', () => {
+    it('updates their rating', async () => {
+      const response = await rate(firstReaderToken, 4);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('rating updated successfully');
+      expect(response.body.article.rating).to.equal(3.5);
+      expect(response.body.article.ratingsCount).to.equal(2);
+    });
+  });
+
+  context('when anyone requests the ratings of an article', () => {
+    it('returns the ratings by star value', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/ratings`);
+      expect(response).to.have.status(200);
+      expect(response.body.ratings).to.deep.equal({
+        average: 3.5,
+        count: 2,
+        breakdown: {
+          1: 0,
+          2: 0,
+          3: 1,
+          4: 1,
+          5: 0
+        }
+      });
+    });
+  });
+
+  context('when the author rates their own article', () => {
+    it('returns a permission error', async () => {
+      const response = await rate(authorToken, 5);
+      expect(response).to.have.status(403);
+      expect(response.body.error).to.equal('you cannot rate your own article');
+    });
+  });
+
+  context('when the rating is not between 1 and 5', () => {
+    it('returns a validation error', async () => {
+      const response = await rate(firstReaderToken, 6);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.rating).to.equal(
+        'rating must be less than or equal to 5'
+      );
+    });
+  });
+
+  context('when a reader removes their rating', () => {
+    it('removes the rating and updates the average', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}/rating`)
+        .set('Authorization', secondReaderToken);
+      expect(response).to.have.status(200);
+      expect(response.body.article.rating).to.equal(4);
+      expect(response.body.article.ratingsCount).to.equal(1);
+    });
+
+    it('returns an error when there is no rating to remove', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${BASE_URL}/articles/${slug}/rating`)
+        .set('Authorization', secondReaderToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('rating not found');
+    });
+  });
+
+  context('when the article does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/no-such-article/ratings`);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Rating, 'findOrCreate')
+        .rejects(new Error('Server Error'));
+      const response = await rate(firstReaderToken, 2);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../../server';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const author = getNewUser();
+let authorToken, slug;
+
+describe('Article Reading Time Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+  });
+
+  context('when an article is created', () => {
+    it('stores the word count and reading time', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', authorToken)
+        .send(getNewArticle());
+      ({ slug } = response.body);
+      expect(response).to.have.status(200);
+      expect(response.body.wordCount).to.equal(12);
+      expect(response.body.readTimeMinutes).to.equal(1);
+    });
+  });
+
+  context('when the article body is updated', () => {
+    it('recomputes the word count and reading time', async () => {
+      const articleBody = `<p>${new Array(450).fill('dragon').join(' ')}</p>`;
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/update/${slug}`)
+        .set('Authorization', authorToken)
+        .send({ articleBody });
+      expect(response).to.have.status(200);
+      expect(response.body.wordCount).to.equal(450);
+      expect(response.body.readTimeMinutes).to.equal(3);
+    });
+  });
+
+  context('when a reader views the article', () => {
+    it('returns the word count and reading time', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`);
+      expect(response).to.have.status(200);
+      expect(response.body.article.wordCount).to.equal(450);
+      expect(response.body.article.readTimeMinutes).to.equal(3);
+    });
+  });
+});
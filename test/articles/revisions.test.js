@@ -0,0 +1,191 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article, ArticleRevision } = models;
+const author = getNewUser();
+const reader = getNewUser();
+const editedBody = 'a completely new opening line\nwith a second line';
+const articleData = getNewArticle();
+let authorToken, readerToken, slug;
+
+describe('Article Revisions Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+
+    const readerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...reader, confirmPassword: reader.password });
+    readerToken = readerResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    await chai
+      .request(app)
+      .patch(`${BASE_URL}/articles/update/${slug}`)
+      .set('Authorization', authorToken)
+      .send({ articleBody: editedBody, status: 'publish' });
+  });
+
+  context('when a user fetches the revisions of an article', () => {
+    it('returns the revisions with the changed fields', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.revisionsCount).to.equal(1);
+      expect(response.body.revisions[0].revision).to.equal(1);
+      expect(response.body.revisions[0].changedFields).to.deep.equal([
+        'articleBody'
+      ]);
+      expect(response.body.revisions[0].editor.userName).to.equal(
+        author.userName
+      );
+    });
+
+    it('returns an error when the user is not signed in', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions`);
+      expect(response).to.have.status(401);
+    });
+
+    it('returns not found for an unknown article', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/unknown-article/revisions`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+  });
+
+  context('when a user fetches the diff of a revision', () => {
+    it('returns the line diff against the current body', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions/1/diff`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.additions).to.equal(2);
+      expect(response.body.deletions).to.equal(1);
+      expect(response.body.diff).to.deep.include({
+        type: 'removed',
+        line: articleData.articleBody
+      });
+    });
+
+    it('returns not found for a revision that does not exist', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions/50/diff`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('revision not found');
+    });
+
+    it('returns not found for an invalid revision number', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions/first/diff`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('revision not found');
+    });
+  });
+
+  context('when a user restores a revision', () => {
+    it('does not allow a user that is not the author', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/revisions/1/restore`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(403);
+    });
+
+    it('restores the article for the author', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/revisions/1/restore`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('article restored to revision 1');
+      expect(response.body.article.articleBody).to.equal(
+        articleData.articleBody
+      );
+    });
+
+    it('keeps the replaced content as a new revision', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.revisionsCount).to.equal(2);
+      expect(response.body.revisions[0].revision).to.equal(2);
+    });
+  });
+
+  context('when two edits are saved at the same time', () => {
+    it('gives each revision its own number', async () => {
+      const article = await Article.findBySlug(slug);
+      const revisions = await Promise.all([
+        ArticleRevision.record(article, article.authorId, ['title']),
+        ArticleRevision.record(article, article.authorId, ['description'])
+      ]);
+      expect(revisions.map(({ revision }) => revision)).to.have.members([
+        3,
+        4
+      ]);
+    });
+  });
+
+  context('when the revision cannot be saved', () => {
+    it('does not change the article', async () => {
+      const stub = sinon
+        .stub(ArticleRevision, 'create')
+        .rejects(new Error('server error'));
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/update/${slug}`)
+        .set('Authorization', authorToken)
+        .send({ title: 'a title that is never saved' });
+      stub.restore();
+      const article = await Article.findBySlug(slug);
+      expect(response).to.have.status(500);
+      expect(article.title).to.not.equal('a title that is never saved');
+    });
+  });
+
+  context('when there is an internal error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(ArticleRevision, 'findByNumber')
+        .throws(new Error('server error'));
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/${slug}/revisions/1/diff`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
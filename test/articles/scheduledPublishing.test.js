@@ -0,0 +1,143 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { articleScheduler } from '../../server/helpers';
+import { getNewUser } from '../users/__mocks__';
+import { scheduledArticleData } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Notification, User } = models;
+const userSignUp = getNewUser();
+const follower = getNewUser();
+let userToken;
+
+describe('Scheduled Publishing Test', () => {
+  before(async () => {
+    const response = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...userSignUp, confirmPassword: userSignUp.password });
+    userToken = response.body.token;
+
+    const followerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...follower, confirmPassword: follower.password });
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/profiles/${userSignUp.userName}/follow`)
+      .set('Authorization', followerResponse.body.token);
+  });
+
+  let slug;
+
+  context('when a user schedules an article without a date', () => {
+    it('returns a validation error', async () => {
+      const noDate = { ...scheduledArticleData };
+      delete noDate.publishAt;
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', userToken)
+        .send(noDate);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.publishAt).to.equal(
+        'publish at is required'
+      );
+    });
+  });
+
+  context('when a user schedules an article in the past', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', userToken)
+        .send({ ...scheduledArticleData, publishAt: '2019-01-01T00:00:00Z' });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.publishAt).to.equal(
+        'publish at must be a date in the future'
+      );
+    });
+  });
+
+  context('when a user sends a date for an article that is published', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', userToken)
+        .send({ ...scheduledArticleData, status: 'publish' });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.publishAt).to.equal(
+        'publish at is only allowed when status is scheduled'
+      );
+    });
+  });
+
+  context('when a user schedules an article', () => {
+    it('creates the article without publishing it', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/create`)
+        .set('Authorization', userToken)
+        .send(scheduledArticleData);
+      expect(response).to.have.status(200);
+      expect(response.body.publishedAt).to.equal(null);
+      expect(response.body.publishAt).to.equal(scheduledArticleData.publishAt);
+      ({ slug } = response.body);
+    });
+
+    it('hides the article before the publish date', async () => {
+      await articleScheduler.tick();
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`);
+      expect(response).to.have.status(404);
+    });
+
+    it('keeps the schedule when the article is edited', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/articles/update/${slug}`)
+        .set('Authorization', userToken)
+        .send({
+          articleBody: `a rewritten body that thanks @${follower.userName}`
+        });
+      expect(response).to.have.status(200);
+      expect(response.body.publishedAt).to.equal(null);
+      expect(response.body.publishAt).to.equal(scheduledArticleData.publishAt);
+    });
+
+    it('publishes the article once the publish date arrives', async () => {
+      const clock = sinon.useFakeTimers({
+        now: Date.parse(scheduledArticleData.publishAt) + 60000,
+        toFake: ['Date']
+      });
+      const publishedCount = await articleScheduler.tick();
+      clock.restore();
+      expect(publishedCount).to.be.at.least(1);
+
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/articles/read/${slug}`);
+      expect(response).to.have.status(200);
+      expect(response.body.article.publishedAt).to.equal(
+        scheduledArticleData.publishAt
+      );
+      expect(response.body.article.publishAt).to.equal(null);
+    });
+
+    it('notifies followers and mentioned users once published', async () => {
+      const { id: userId } = await User.findByUsername(follower.userName);
+      const types = (await Notification.findAll({ where: { userId } })).map(
+        ({ type }) => type
+      );
+      expect(types).to.have.members(['article', 'mention']);
+    });
+  });
+});
@@ -2,7 +2,8 @@ import * as facebookTest from './facebook.test';
 import * as googleTest from './google.test';
 import * as twitterTest from './twitter.test';
 import * as verifySocialUser from './verifySocialUser.test';
+import * as socialSignIn from './socialSignIn.test';
 
 export {
-  facebookTest, googleTest, twitterTest, verifySocialUser
+  facebookTest, googleTest, twitterTest, verifySocialUser, socialSignIn
 };
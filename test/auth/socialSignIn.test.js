@@ -0,0 +1,106 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import Auth from '../../server/controllers/Auth';
+import models from '../../server/database/models';
+import { request2 } from './__mocks_';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const SOCIAL_URL = `${BASE_URL}/sessions/social`;
+const { TwoFactorAuth, User } = models;
+
+/**
+ * @name socialLogin
+ * @returns {String} the url the social login redirects to
+ */
+const socialLogin = async () => {
+  const res = { status() {}, redirect() {} };
+  sinon.stub(res, 'status').returnsThis();
+  const redirect = sinon.stub(res, 'redirect').returnsThis();
+  await Auth.socialLogin(request2, res);
+  return redirect.firstCall.args[0];
+};
+
+describe('Social Sign In Test', () => {
+  let redirectUrl, code;
+
+  before(async () => {
+    redirectUrl = await socialLogin();
+    [, code] = redirectUrl.match(/[?&]code=([^&]+)/);
+  });
+
+  context('when a user signs in with a provider', () => {
+    it('redirects with a one-time code instead of session tokens', () => {
+      expect(code).to.be.a('string');
+      expect(redirectUrl).to.not.include('token=');
+      expect(redirectUrl).to.not.include('refreshToken');
+    });
+
+    it('exchanges the code for a session', async () => {
+      const response = await chai
+        .request(app)
+        .post(SOCIAL_URL)
+        .send({ code });
+      expect(response).to.have.status(200);
+      expect(response.body).to.have.key('user', 'token', 'refreshToken');
+      expect(response.body.user.email).to.equal('dev@gmail.com');
+    });
+
+    it('does not exchange the same code twice', async () => {
+      const response = await chai
+        .request(app)
+        .post(SOCIAL_URL)
+        .send({ code });
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal('invalid or expired sign in code');
+    });
+  });
+
+  context('when the user has two-factor authentication', () => {
+    let twoFactorAuth;
+
+    before(async () => {
+      const user = await User.findOne({ where: { email: 'dev@gmail.com' } });
+      twoFactorAuth = await TwoFactorAuth.create({
+        userId: user.id,
+        secret: 'KVKFKRCPNZQUYMLXOVYDSQKJKZDTSRLD',
+        enabledAt: new Date()
+      });
+    });
+
+    after(async () => {
+      await twoFactorAuth.destroy();
+    });
+
+    it('returns a challenge token instead of a session', async () => {
+      const [, twoFactorCode] = (await socialLogin()).match(/[?&]code=([^&]+)/);
+      const response = await chai
+        .request(app)
+        .post(SOCIAL_URL)
+        .send({ code: twoFactorCode });
+      expect(response).to.have.status(200);
+      expect(response.body.twoFactorRequired).to.equal(true);
+      expect(response.body.challengeToken).to.be.a('string');
+      expect(response.body).to.not.have.property('token');
+    });
+  });
+
+  context('when the code is missing or not a sign in code', () => {
+    it('returns an error', async () => {
+      const login = await chai
+        .request(app)
+        .post(`${BASE_URL}/sessions/create`)
+        .send({ userLogin: 'demoUser', password: 'incorrect' });
+      const responses = await Promise.all(
+        [undefined, login.body.token].map(value => chai
+          .request(app)
+          .post(SOCIAL_URL)
+          .send({ code: value }))
+      );
+      responses.forEach(response => expect(response).to.have.status(401));
+    });
+  });
+});
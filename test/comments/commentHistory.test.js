@@ -0,0 +1,137 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { CommentRevision } = models;
+
+chai.use(chaiHttp);
+
+const baseUrl = process.env.BASE_URL;
+const commenter = getNewUser();
+const articleData = getNewArticle();
+let commenterToken, slug, commentUrl;
+
+describe('Comment Edit History Test', () => {
+  before(async () => {
+    const userResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/users/create`)
+      .send({ ...commenter, confirmPassword: commenter.password });
+    commenterToken = userResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/create`)
+      .set('Authorization', commenterToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const commentResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/${slug}/comments`)
+      .set('Authorization', commenterToken)
+      .send({ comment: 'first thoughts' });
+    commentUrl = `${baseUrl}/articles/${slug}/comments/${
+      commentResponse.body.comment.id
+    }`;
+  });
+
+  context('when a comment has not been edited', () => {
+    it('has an empty history', async () => {
+      const response = await chai.request(app).get(`${commentUrl}/history`);
+      expect(response).to.have.status(200);
+      expect(response.body.comment.edited).to.equal(false);
+      expect(response.body.comment.editsCount).to.equal(0);
+      expect(response.body.history).to.deep.equal([]);
+    });
+  });
+
+  context('when a comment is edited', () => {
+    before(async () => {
+      await chai
+        .request(app)
+        .patch(commentUrl)
+        .set('Authorization', commenterToken)
+        .send({ comment: 'second thoughts' });
+      await chai
+        .request(app)
+        .patch(commentUrl)
+        .set('Authorization', commenterToken)
+        .send({ comment: 'final thoughts' });
+    });
+
+    it('keeps every previous version, newest first', async () => {
+      const response = await chai.request(app).get(`${commentUrl}/history`);
+      const versions = response.body.history.map(({ comment }) => comment);
+      expect(response).to.have.status(200);
+      expect(response.body.comment.comment).to.equal('final thoughts');
+      expect(response.body.comment.editsCount).to.equal(2);
+      expect(versions).to.deep.equal(['second thoughts', 'first thoughts']);
+    });
+
+    it('flags the comment as edited in the comments list', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments`);
+      const [comment] = response.body.comments;
+      expect(response).to.have.status(200);
+      expect(comment.edited).to.equal(true);
+      expect(comment.editsCount).to.equal(2);
+    });
+
+    it('does not record a version when the text is unchanged', async () => {
+      await chai
+        .request(app)
+        .patch(commentUrl)
+        .set('Authorization', commenterToken)
+        .send({ comment: 'final thoughts' });
+      const response = await chai.request(app).get(`${commentUrl}/history`);
+      expect(response.body.history).to.have.length(2);
+    });
+  });
+
+  context('when two edits are saved at the same time', () => {
+    it('gives each version its own number', async () => {
+      await Promise.all(
+        ['thoughts at once', 'other thoughts at once'].map(text => chai
+          .request(app)
+          .patch(commentUrl)
+          .set('Authorization', commenterToken)
+          .send({ comment: text }))
+      );
+      const response = await chai.request(app).get(`${commentUrl}/history`);
+      const numbers = response.body.history.map(({ revision }) => revision);
+      expect(numbers).to.deep.equal([4, 3, 2, 1]);
+      expect(response.body.comment.editsCount).to.equal(4);
+    });
+  });
+
+  context('when the comment does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments/0/history`);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('comment not found');
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(CommentRevision, 'record')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .patch(commentUrl)
+        .set('Authorization', commenterToken)
+        .send({ comment: 'more thoughts' });
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
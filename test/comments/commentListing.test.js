@@ -0,0 +1,135 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { UserFollower } = models;
+
+chai.use(chaiHttp);
+
+const baseUrl = process.env.BASE_URL;
+const author = getNewUser();
+const reader = getNewUser();
+const commentIds = [];
+const articleData = getNewArticle();
+let authorToken, readerToken, commentsUrl;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${baseUrl}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+describe('Comments Listing Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    readerToken = await signUp(reader);
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    commentsUrl = `${baseUrl}/articles/${articleResponse.body.slug}/comments`;
+
+    await ['first', 'second', 'third'].reduce(async (previous, comment) => {
+      await previous;
+      const response = await chai
+        .request(app)
+        .post(commentsUrl)
+        .set('Authorization', readerToken)
+        .send({ comment: `${comment} comment` });
+      commentIds.push(response.body.comment.id);
+    }, Promise.resolve());
+
+    await chai
+      .request(app)
+      .post(`${commentsUrl}/${commentIds[1]}/like`)
+      .set('Authorization', authorToken);
+  });
+
+  context('when no sort is given', () => {
+    it('returns the first page of comments, oldest first', async () => {
+      const response = await chai
+        .request(app)
+        .get(commentsUrl)
+        .query({ pageItems: 2 });
+      const ids = response.body.comments.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(response.body.currentPage).to.equal(1);
+      expect(response.body.totalPages).to.equal(2);
+      expect(response.body.itemsOnPage).to.equal(2);
+      expect(response.body.commentsCount).to.equal(3);
+      expect(ids).to.deep.equal(commentIds.slice(0, 2));
+    });
+
+    it('returns the next page', async () => {
+      const response = await chai
+        .request(app)
+        .get(commentsUrl)
+        .query({ page: 2, pageItems: 2 });
+      const ids = response.body.comments.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(response.body.itemsOnPage).to.equal(1);
+      expect(ids).to.deep.equal([commentIds[2]]);
+    });
+  });
+
+  context('when sorting by newest', () => {
+    it('returns the latest comments first', async () => {
+      const response = await chai
+        .request(app)
+        .get(commentsUrl)
+        .query({ sort: 'newest' });
+      const ids = response.body.comments.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(ids).to.deep.equal([...commentIds].reverse());
+    });
+  });
+
+  context('when sorting by top', () => {
+    it('returns the most liked comments first', async () => {
+      const response = await chai
+        .request(app)
+        .get(commentsUrl)
+        .query({ sort: 'top' });
+      const ids = response.body.comments.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(ids).to.deep.equal([commentIds[1], commentIds[0], commentIds[2]]);
+    });
+  });
+
+  context('when the comments are listed', () => {
+    it('looks up whether the authors follow in one query', async () => {
+      const spy = sinon.spy(UserFollower, 'findAll');
+      const response = await chai.request(app).get(commentsUrl);
+      expect(response).to.have.status(200);
+      expect(response.body.comments[0].author).to.have.property('following');
+      sinon.assert.calledOnce(spy);
+      spy.restore();
+    });
+  });
+
+  context('when the sort is invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .get(commentsUrl)
+        .query({ sort: 'random' });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.sort).to.equal(
+        'Sort must be one of newest, oldest, top'
+      );
+    });
+  });
+});
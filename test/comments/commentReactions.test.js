@@ -0,0 +1,156 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { Comment } = models;
+
+chai.use(chaiHttp);
+
+const baseUrl = process.env.BASE_URL;
+const author = getNewUser();
+const reader = getNewUser();
+const articleData = getNewArticle();
+let authorToken, readerToken, slug, commentId, commentUrl;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${baseUrl}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+describe('Comment Likes and Dislikes Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    readerToken = await signUp(reader);
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const commentResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/${slug}/comments`)
+      .set('Authorization', authorToken)
+      .send({ comment: 'thanks for reading' });
+    commentId = commentResponse.body.comment.id;
+    commentUrl = `${baseUrl}/articles/${slug}/comments/${commentId}`;
+  });
+
+  context('when a user likes a comment', () => {
+    it('adds the like and counts it on the comment', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${commentUrl}/like`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(201);
+      expect(response.body.message).to.equal('like added successfully');
+      expect(response.body.comment.likesCount).to.equal(1);
+      expect(response.body.comment.dislikesCount).to.equal(0);
+    });
+
+    it('does not like the comment twice', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${commentUrl}/like`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal(
+        'you have already liked this comment'
+      );
+    });
+  });
+
+  context('when the comments of an article are requested', () => {
+    it("includes the signed in user's own reaction", async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments`)
+        .set('Authorization', readerToken);
+      const [comment] = response.body.comments;
+      expect(response).to.have.status(200);
+      expect(comment.likesCount).to.equal(1);
+      expect(comment.reaction).to.equal('like');
+    });
+
+    it('has no reaction for anonymous readers', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments`);
+      const [comment] = response.body.comments;
+      expect(response).to.have.status(200);
+      expect(comment.likesCount).to.equal(1);
+      expect(comment.reaction).to.equal(null);
+    });
+  });
+
+  context('when a user dislikes a comment they liked', () => {
+    it('replaces the like with a dislike', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${commentUrl}/dislike`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(201);
+      expect(response.body.message).to.equal('dislike added successfully');
+      expect(response.body.comment.likesCount).to.equal(0);
+      expect(response.body.comment.dislikesCount).to.equal(1);
+    });
+  });
+
+  context('when a user removes their dislike', () => {
+    it('removes the dislike from the comment', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${commentUrl}/dislike`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('dislike removed successfully');
+      expect(response.body.comment.dislikesCount).to.equal(0);
+    });
+  });
+
+  context('when the comment does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/${slug}/comments/0/like`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('comment not found');
+    });
+  });
+
+  context('when the user is not signed in', () => {
+    it('returns an unauthorized error', async () => {
+      const response = await chai.request(app).post(`${commentUrl}/like`);
+      expect(response).to.have.status(401);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Comment, 'findOne')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .post(`${commentUrl}/like`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import { getNewArticle } from '../articles/__mocks__';
+
+chai.use(chaiHttp);
+
+const baseUrl = process.env.BASE_URL;
+const author = getNewUser();
+const articleData = getNewArticle();
+const quote = 'unknown printer';
+const start = articleData.articleBody.indexOf(quote);
+const anchor = { start, end: start + quote.length, quote };
+let authorToken, slug, commentsUrl;
+
+describe('Inline Highlight Comments Test', () => {
+  before(async () => {
+    const userResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = userResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+    commentsUrl = `${baseUrl}/articles/${slug}/comments`;
+  });
+
+  context('when a user comments on a passage of the article', () => {
+    it('stores the anchor with the comment', async () => {
+      const response = await chai
+        .request(app)
+        .post(commentsUrl)
+        .set('Authorization', authorToken)
+        .send({ comment: 'who was the printer?', anchor });
+      expect(response).to.have.status(201);
+      expect(response.body.comment.anchor).to.deep.equal(anchor);
+      expect(response.body.comment.isOrphaned).to.equal(false);
+    });
+
+    it('returns anchored comments separately', async () => {
+      await chai
+        .request(app)
+        .post(commentsUrl)
+        .set('Authorization', authorToken)
+        .send({ comment: 'a plain comment' });
+      const response = await chai.request(app).get(commentsUrl);
+      expect(response).to.have.status(200);
+      expect(response.body.commentsCount).to.equal(1);
+      expect(response.body.comments[0].anchor).to.equal(null);
+      expect(response.body.highlightsCount).to.equal(1);
+      expect(response.body.highlights[0].anchor).to.deep.equal(anchor);
+    });
+  });
+
+  context('when the anchor does not match the article text', () => {
+    it('returns a validation error', async () => {
+      const misplacedAnchor = { ...anchor, quote: 'known printer' };
+      const response = await chai
+        .request(app)
+        .post(commentsUrl)
+        .set('Authorization', authorToken)
+        .send({ comment: 'hmm', anchor: misplacedAnchor });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.anchor).to.equal(
+        'anchor quote does not match the article text'
+      );
+    });
+  });
+
+  context('when the article has no body yet', () => {
+    it('returns a validation error', async () => {
+      const { title, description, category } = articleData;
+      const draftResponse = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/create`)
+        .set('Authorization', authorToken)
+        .send({
+          title,
+          description,
+          category,
+          status: 'draft'
+        });
+      const response = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/${draftResponse.body.slug}/comments`)
+        .set('Authorization', authorToken)
+        .send({ comment: 'too early', anchor });
+      expect(draftResponse).to.have.status(200);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.anchor).to.equal(
+        'anchor quote does not match the article text'
+      );
+    });
+  });
+
+  context('when the anchor offsets are invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .post(commentsUrl)
+        .set('Authorization', authorToken)
+        .send({ comment: 'hmm', anchor: { start: 5, end: 2, quote } });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.end).to.equal(
+        'anchor end must be greater than 5'
+      );
+    });
+  });
+
+  context('when the author moves the passage', () => {
+    it('re-anchors the comment', async () => {
+      await chai
+        .request(app)
+        .patch(`${baseUrl}/articles/update/${slug}`)
+        .set('Authorization', authorToken)
+        .send({ articleBody: `Intro. ${articleData.articleBody}` });
+      const response = await chai.request(app).get(commentsUrl);
+      const [highlight] = response.body.highlights;
+      expect(highlight.isOrphaned).to.equal(false);
+      expect(highlight.anchor.start).to.equal(start + 7);
+      expect(highlight.anchor.quote).to.equal(quote);
+    });
+  });
+
+  context('when the author removes the passage', () => {
+    it('marks the comment as orphaned', async () => {
+      await chai
+        .request(app)
+        .patch(`${baseUrl}/articles/update/${slug}`)
+        .set('Authorization', authorToken)
+        .send({ articleBody: 'a completely different article body' });
+      const response = await chai.request(app).get(commentsUrl);
+      const [highlight] = response.body.highlights;
+      expect(highlight.isOrphaned).to.equal(true);
+    });
+  });
+});
@@ -1,2 +1,7 @@
 import './comment.test';
 import './updateComment.test';
+import './replies.test';
+import './commentReactions.test';
+import './commentHistory.test';
+import './highlights.test';
+import './commentListing.test';
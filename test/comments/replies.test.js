@@ -0,0 +1,154 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { Comment } = models;
+
+chai.use(chaiHttp);
+
+const baseUrl = process.env.BASE_URL;
+const author = getNewUser();
+const replier = getNewUser();
+const articleData = getNewArticle();
+let authorToken, replierToken, slug, parentId, replyId;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${baseUrl}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+describe('Comment Replies Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    replierToken = await signUp(replier);
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const commentResponse = await chai
+      .request(app)
+      .post(`${baseUrl}/articles/${slug}/comments`)
+      .set('Authorization', authorToken)
+      .send({ comment: 'what do you all think?' });
+    parentId = commentResponse.body.comment.id;
+  });
+
+  context('when a user replies to a comment', () => {
+    it('creates the reply under the comment', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/${slug}/comments/${parentId}/replies`)
+        .set('Authorization', replierToken)
+        .send({ comment: 'I think it is great' });
+      expect(response).to.have.status(201);
+      expect(response.body.comment.parentId).to.equal(parentId);
+      replyId = response.body.comment.id;
+    });
+
+    it('counts the reply on the parent comment', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments`);
+      const ids = response.body.comments.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(ids).to.deep.equal([parentId]);
+      expect(response.body.comments[0].repliesCount).to.equal(1);
+    });
+  });
+
+  context('when a user replies to a comment that does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/${slug}/comments/0/replies`)
+        .set('Authorization', replierToken)
+        .send({ comment: 'hello there' });
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('comment not found');
+    });
+  });
+
+  context('when a user requests the replies to a comment', () => {
+    it('returns a page of replies', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments/${parentId}/replies`);
+      expect(response).to.have.status(200);
+      expect(response.body.currentPage).to.equal(1);
+      expect(response.body.data.count).to.equal(1);
+      expect(response.body.data.results[0].id).to.equal(replyId);
+      expect(response.body.data.results[0].author).to.have.property(
+        'following'
+      );
+    });
+  });
+
+  context('when a comment with replies is deleted', () => {
+    it('keeps a tombstone so the thread survives', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${baseUrl}/articles/${slug}/comments/${parentId}`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+
+      const commentsResponse = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments`);
+      const [tombstone] = commentsResponse.body.comments;
+      expect(tombstone.id).to.equal(parentId);
+      expect(tombstone.isDeleted).to.equal(true);
+      expect(tombstone.comment).to.equal(null);
+      expect(tombstone.author).to.equal(null);
+      expect(tombstone.repliesCount).to.equal(1);
+    });
+
+    it('does not allow replies to the deleted comment', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${baseUrl}/articles/${slug}/comments/${parentId}/replies`)
+        .set('Authorization', replierToken)
+        .send({ comment: 'too late' });
+      expect(response).to.have.status(404);
+    });
+  });
+
+  context('when the last reply to a deleted comment is deleted', () => {
+    it('removes the tombstone', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${baseUrl}/articles/${slug}/comments/${replyId}`)
+        .set('Authorization', replierToken);
+      expect(response).to.have.status(200);
+      expect(await Comment.findByPk(parentId)).to.equal(null);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Comment, 'findOne')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${baseUrl}/articles/${slug}/comments/${replyId}/replies`);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
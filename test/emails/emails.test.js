@@ -0,0 +1,112 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const EMAILS_URL = `${BASE_URL}/emails`;
+const { Email } = models;
+const user = getNewUser();
+let userToken, adminToken, emailId;
+
+describe('Email Log Test', () => {
+  before(async () => {
+    const userResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...user, confirmPassword: user.password });
+    userToken = userResponse.body.token;
+
+    const adminResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/sessions/create`)
+      .send({ userLogin: 'demoUser', password: 'incorrect' });
+    adminToken = adminResponse.body.token;
+  });
+
+  context('when a user that is not an admin views the emails', () => {
+    it('returns an unauthorized error', async () => {
+      const response = await chai
+        .request(app)
+        .get(EMAILS_URL)
+        .set('Authorization', userToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error).to.equal('unauthorized user');
+    });
+  });
+
+  context('when an admin views the emails sent to a user', () => {
+    it('returns the emails without their content', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${EMAILS_URL}?to=${encodeURIComponent(user.email)}&status=sent`)
+        .set('Authorization', adminToken);
+      const [email] = response.body.data.results;
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(1);
+      expect(email).to.include({
+        to: user.email,
+        subject: 'Verify Email',
+        status: 'sent',
+        attempts: 1
+      });
+      expect(email).to.not.have.property('html');
+      emailId = email.id;
+    });
+  });
+
+  context('when an admin views one email', () => {
+    it('returns the email with its content', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${EMAILS_URL}/${emailId}`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+      expect(response.body.email.html).to.include(user.firstName);
+      expect(response.body.email.html).to.include('verifyEmail/[redacted]');
+    });
+
+    it('returns an error when the email does not exist', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${EMAILS_URL}/0`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('email not found');
+    });
+  });
+
+  context('when the filters are invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${EMAILS_URL}?status=bounced&to=someone`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.status).to.equal(
+        'status must be one of queued, sent, failed'
+      );
+      expect(response.body.errors.to).to.equal(
+        'to must be a valid email address'
+      );
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Email, 'findAndCountAll')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(EMAILS_URL)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
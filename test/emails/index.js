@@ -0,0 +1 @@
+import './emails.test';
@@ -0,0 +1,252 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { EventEmitter } from 'events';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import Events from '../../server/controllers/Events';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { Article, Session, User } = models;
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const EVENTS_URL = `${BASE_URL}/events`;
+const HEARTBEAT_INTERVAL = 25000;
+const author = getNewUser();
+const reader = getNewUser();
+let authorToken, readerToken, slug;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+/**
+ * @name openStream
+ * @param {String} userName username of the user watching the stream
+ * @param {Object} query query of the stream request
+ * @param {String} token token the stream is opened with
+ * @returns {Object} the request and the response the events are written to
+ */
+const openStream = async (userName, query = {}, token) => {
+  const req = new EventEmitter();
+  req.user = await User.findByUsername(userName);
+  req.query = query;
+  const res = {
+    locals: { token },
+    writeHead: sinon.spy(),
+    write: sinon.stub(),
+    end: sinon.spy(),
+    status: () => ({ json: sinon.spy() })
+  };
+  await Events.stream(req, res);
+  return { req, res };
+};
+
+/**
+ * @name writtenEvents
+ * @param {Object} res response the events were written to
+ * @param {String} type type of events to return
+ * @returns {Array} data of the events of that type
+ */
+const writtenEvents = (res, type) => res.write
+  .getCalls()
+  .map(({ args: [chunk] }) => chunk)
+  .filter(chunk => chunk.startsWith(`event: ${type}\n`))
+  .map(chunk => JSON.parse(chunk.split('data: ')[1]));
+
+describe('Event Stream Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    readerToken = await signUp(reader);
+    const response = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(getNewArticle());
+    ({ slug } = response.body);
+  });
+
+  context('when the request is not authenticated', () => {
+    it('returns an error', async () => {
+      const response = await chai.request(app).get(EVENTS_URL);
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal('no token provided');
+    });
+  });
+
+  context('when the watched article does not exist', () => {
+    it('returns an error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${EVENTS_URL}?article=no-such-article`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('article not found');
+    });
+  });
+
+  context('when a user opens the event stream', () => {
+    let authorStream, readerStream;
+
+    before(async () => {
+      authorStream = await openStream(author.userName);
+      readerStream = await openStream(reader.userName, { article: slug });
+      await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments`)
+        .set('Authorization', authorToken)
+        .send({ comment: 'welcome to the discussion' });
+      await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments`)
+        .set('Authorization', readerToken)
+        .send({ comment: 'glad to be here' });
+    });
+
+    after(() => {
+      authorStream.req.emit('close');
+      readerStream.req.emit('close');
+    });
+
+    it('starts a server-sent event stream', () => {
+      const { res } = readerStream;
+      expect(res.writeHead.firstCall.args[0]).to.equal(200);
+      expect(res.writeHead.firstCall.args[1]['Content-Type']).to.equal(
+        'text/event-stream'
+      );
+      expect(writtenEvents(res, 'connected')).to.deep.equal([
+        { article: slug }
+      ]);
+    });
+
+    it('pushes new comments on the watched article', () => {
+      const comments = writtenEvents(readerStream.res, 'comment');
+      expect(comments.map(({ comment }) => comment)).to.deep.equal([
+        'welcome to the discussion',
+        'glad to be here'
+      ]);
+      expect(comments[0].author.userName).to.equal(author.userName);
+    });
+
+    it('pushes new notifications for the signed in user', () => {
+      const notifications = writtenEvents(authorStream.res, 'notification');
+      expect(notifications).to.have.length(1);
+      expect(notifications[0].type).to.equal('comment');
+      expect(writtenEvents(authorStream.res, 'comment')).to.have.length(0);
+    });
+
+    it('stops pushing events once the client disconnects', async () => {
+      const { req, res } = await openStream(reader.userName, {
+        article: slug
+      });
+      req.emit('close');
+      await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments`)
+        .set('Authorization', authorToken)
+        .send({ comment: 'anyone still here?' });
+      expect(writtenEvents(res, 'comment')).to.have.length(0);
+    });
+  });
+
+  context('when the session of an open stream ends', () => {
+    let clock;
+
+    /**
+     * @name signIn
+     * @returns {String} token of a new session of the reader
+     */
+    const signIn = async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/sessions/create`)
+        .send({ userLogin: reader.userName, password: reader.password });
+      return response.body.token;
+    };
+
+    /**
+     * @name nextHeartbeat
+     * @param {Object} res response the events are written to
+     * @returns {String} what the stream writes after the next heartbeat
+     */
+    const nextHeartbeat = (res) => {
+      const written = new Promise(resolve => res.write.callsFake(resolve));
+      clock.tick(HEARTBEAT_INTERVAL);
+      return written;
+    };
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+    });
+
+    afterEach(() => clock.restore());
+
+    it('keeps the stream open while the session is active', async () => {
+      const token = await signIn();
+      const { req, res } = await openStream(reader.userName, {}, token);
+      expect(await nextHeartbeat(res)).to.equal(': heartbeat\n\n');
+      expect(res.end.called).to.equal(false);
+      req.emit('close');
+    });
+
+    it('closes the stream once the user signs out', async () => {
+      const token = await signIn();
+      const { res } = await openStream(reader.userName, {}, token);
+      await chai
+        .request(app)
+        .post(`${BASE_URL}/sessions/destroy`)
+        .set('Authorization', token);
+      expect(await nextHeartbeat(res)).to.equal(
+        'event: signed-out\ndata: {}\n\n'
+      );
+      expect(res.end.calledOnce).to.equal(true);
+    });
+
+    it('closes the stream once its session is revoked', async () => {
+      const token = await signIn();
+      const otherToken = await signIn();
+      const { res } = await openStream(reader.userName, {}, token);
+      const { id } = await Session.findActiveSessionByToken(token);
+      await chai
+        .request(app)
+        .delete(`${BASE_URL}/sessions/${id}`)
+        .set('Authorization', otherToken);
+      expect(await nextHeartbeat(res)).to.equal(
+        'event: signed-out\ndata: {}\n\n'
+      );
+      expect(res.end.calledOnce).to.equal(true);
+      await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments`)
+        .set('Authorization', authorToken)
+        .send({ comment: 'after the reader signed out' });
+      expect(writtenEvents(res, 'notification')).to.have.length(0);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Article, 'findBySlug')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${EVENTS_URL}?article=${slug}`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -0,0 +1 @@
+import './events.test';
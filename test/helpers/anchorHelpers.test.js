@@ -0,0 +1,49 @@
+import { expect } from 'chai';
+import { anchorMatches, relocateAnchor } from '../../server/helpers';
+
+const articleBody = 'the cat sat on the mat';
+
+describe('anchorHelpers Test', () => {
+  context('when checking an anchor against the article body', () => {
+    it('matches the quote at its offsets', () => {
+      const anchor = { start: 4, end: 7, quote: 'cat' };
+      expect(anchorMatches(anchor, articleBody)).to.equal(true);
+    });
+
+    it('does not match a quote at the wrong offsets', () => {
+      const anchor = { start: 0, end: 3, quote: 'cat' };
+      expect(anchorMatches(anchor, articleBody)).to.equal(false);
+    });
+
+    it('does not match when the article has no body', () => {
+      const anchor = { start: 4, end: 7, quote: 'cat' };
+      expect(anchorMatches(anchor, null)).to.equal(false);
+      expect(anchorMatches(anchor, '')).to.equal(false);
+    });
+  });
+
+  context('when the quote has moved in the edited body', () => {
+    it('moves the anchor to the quote', () => {
+      const anchor = { start: 4, end: 7, quote: 'cat' };
+      const editedBody = 'look, the cat sat on the mat';
+      expect(relocateAnchor(anchor, editedBody)).to.deep.equal({
+        start: 10,
+        end: 13,
+        quote: 'cat'
+      });
+    });
+
+    it('picks the occurrence nearest the old position', () => {
+      const anchor = { start: 15, end: 18, quote: 'the' };
+      const editedBody = 'so the cat sat on the mat';
+      expect(relocateAnchor(anchor, editedBody).start).to.equal(18);
+    });
+  });
+
+  context('when the quote is no longer in the body', () => {
+    it('returns null', () => {
+      const anchor = { start: 4, end: 7, quote: 'cat' };
+      expect(relocateAnchor(anchor, 'the dog sat on the mat')).to.equal(null);
+    });
+  });
+});
@@ -1,41 +1,112 @@
 import { expect } from 'chai';
-import sendGrid from '@sendgrid/mail';
 import sinon from 'sinon';
-import sendMail from '../../server/helpers/emailModule';
+import sendMail, {
+  getEmailTransport,
+  useEmailTransport,
+  retryQueuedEmails
+} from '../../server/helpers/emailModule';
+import models from '../../server/database/models';
+
+const { Email } = models;
+
+const email = 'rambo@gmail.com';
+const subject = 'hello';
+const content = '<h1> Welcome to Rambo </h1>';
 
 describe('Email Sender Function Tests', () => {
   context('when the function gets right parameters', () => {
-    it('sends the email and returns a success code', async () => {
-      const email = 'rambo@gmail.com';
-      const subject = 'hello';
-      const content = '<h1> Welcome to Rambo </h1>';
-      const response = { statusCode() {} };
-      const statusCode = sinon.stub(response, 'statusCode').returnsThis();
-      const stub = sinon.stub(sendGrid, 'send');
-      stub.yields(statusCode);
-      await sendMail(email, subject, content);
-      sendGrid.send.restore();
+    it('sends the email and stores it as sent', async () => {
+      const outbox = getEmailTransport();
+      outbox.clear();
+      const sentEmail = await sendMail(email, subject, content);
+      expect(outbox.messages).to.have.length(1);
+      expect(outbox.messages[0]).to.include({
+        to: email,
+        subject,
+        html: content
+      });
+      expect(sentEmail.status).to.equal('sent');
+      expect(sentEmail.attempts).to.equal(1);
+      expect(sentEmail.transport).to.equal('outbox');
+      expect(sentEmail.sentAt).to.be.a('date');
     });
   });
 
   context('when the email does not send', () => {
-    it('returns an error', async () => {
-      const stub = sinon.stub(sendGrid, 'send');
-      const statusCode = 400;
-      stub.yields(statusCode);
-      await sendMail();
-      sendGrid.send.restore();
+    let failingTransport, outbox, queuedEmail;
+
+    before(async () => {
+      failingTransport = {
+        name: 'sendgrid',
+        send: sinon.stub().rejects(new Error('Forbidden'))
+      };
+      outbox = useEmailTransport(failingTransport);
+      queuedEmail = await sendMail(email, subject, content);
+    });
+
+    after(() => useEmailTransport(outbox));
+
+    it('queues the email to be sent again', () => {
+      expect(queuedEmail.status).to.equal('queued');
+      expect(queuedEmail.attempts).to.equal(1);
+      expect(queuedEmail.lastError).to.equal('Forbidden');
+    });
+
+    it('sends the queued email when it is retried', async () => {
+      useEmailTransport(outbox);
+      const sentCount = await retryQueuedEmails();
+      await queuedEmail.reload();
+      expect(sentCount).to.be.at.least(1);
+      expect(queuedEmail.status).to.equal('sent');
+      expect(queuedEmail.attempts).to.equal(2);
+      expect(queuedEmail.lastError).to.equal(null);
+    });
+
+    it('marks the email as failed after the last attempt', async () => {
+      useEmailTransport(failingTransport);
+      const failedEmail = await sendMail(email, subject, content);
+      await retryQueuedEmails();
+      await retryQueuedEmails();
+      await failedEmail.reload();
+      expect(failedEmail.status).to.equal('failed');
+      expect(failedEmail.attempts).to.equal(3);
+      const retried = await Email.findRetryable();
+      expect(retried.map(({ id }) => id)).to.not.include(failedEmail.id);
+    });
+  });
+
+  context('when the email carries a secret', () => {
+    const token = 'secret-reset-token';
+    const secretContent = `<a href="/resetpassword/${token}">Reset</a>`;
+
+    it('sends the secret without storing it', async () => {
+      const outbox = getEmailTransport();
+      outbox.clear();
+      const sentEmail = await sendMail(email, subject, secretContent, [token]);
+      expect(outbox.messages[0].html).to.equal(secretContent);
+      expect(sentEmail.html).to.equal(
+        '<a href="/resetpassword/[redacted]">Reset</a>'
+      );
+    });
+
+    it('does not retry the email when it does not send', async () => {
+      const outbox = useEmailTransport({
+        name: 'sendgrid',
+        send: sinon.stub().rejects(new Error('Forbidden'))
+      });
+      const failedEmail = await sendMail(email, subject, secretContent, [
+        token
+      ]);
+      useEmailTransport(outbox);
+      expect(failedEmail.status).to.equal('failed');
+      expect(failedEmail.attempts).to.equal(1);
     });
   });
 
   context('when there is a server error', () => {
-    it('should throw', async () => {
-      const stub = sinon.stub(sendGrid, 'send');
-      const error = new Error('server error');
-      stub.yields(error);
+    it('should return the error', async () => {
       const res = await sendMail();
       expect(res).to.be.an('error');
-      stub.restore();
     });
   });
 });
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import sendGrid from '@sendgrid/mail';
+import nodemailer from 'nodemailer';
+import {
+  createSendGridTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+  createTransport
+} from '../../server/helpers/emailTransports';
+
+const message = {
+  to: 'rambo@gmail.com',
+  from: 'Authors Haven <authorshaven-help@authorshaven.com>',
+  subject: 'hello',
+  html: '<h1> Welcome to Rambo </h1>'
+};
+
+describe('Email Transports Tests', () => {
+  context('when the SendGrid transport sends an email', () => {
+    it('passes the email to SendGrid', async () => {
+      const setApiKey = sinon.stub(sendGrid, 'setApiKey');
+      const send = sinon.stub(sendGrid, 'send').resolves([{ statusCode: 202 }]);
+      const transport = createSendGridTransport({ apiKey: 'key' });
+      await transport.send(message);
+      setApiKey.restore();
+      send.restore();
+      expect(transport.name).to.equal('sendgrid');
+      expect(setApiKey.calledOnceWith('key')).to.equal(true);
+      expect(send.calledOnceWith(message)).to.equal(true);
+    });
+
+    it('rejects when SendGrid does not send the email', async () => {
+      const send = sinon.stub(sendGrid, 'send').rejects(new Error('Forbidden'));
+      const transport = createSendGridTransport({ apiKey: 'key' });
+      const error = await transport.send(message).catch(sendError => sendError);
+      send.restore();
+      expect(error.message).to.equal('Forbidden');
+    });
+  });
+
+  context('when the SMTP transport sends an email', () => {
+    it('passes the email to the SMTP server', async () => {
+      const sendMail = sinon.stub().resolves({ messageId: '1' });
+      const createSmtp = sinon
+        .stub(nodemailer, 'createTransport')
+        .returns({ sendMail });
+      const transport = createSmtpTransport({
+        host: 'smtp.example.com',
+        port: 587,
+        secure: false,
+        user: 'rambo',
+        password: 'secret'
+      });
+      await transport.send(message);
+      createSmtp.restore();
+      expect(transport.name).to.equal('smtp');
+      expect(createSmtp.firstCall.args[0].auth).to.deep.equal({
+        user: 'rambo',
+        pass: 'secret'
+      });
+      expect(sendMail.calledOnceWith(message)).to.equal(true);
+    });
+  });
+
+  context('when the outbox transport sends an email', () => {
+    it('keeps the email in memory', async () => {
+      const transport = createOutboxTransport();
+      await transport.send(message);
+      expect(transport.messages).to.deep.equal([message]);
+      transport.clear();
+      expect(transport.messages).to.have.length(0);
+    });
+
+    it('writes the email to the outbox directory', async () => {
+      const directory = path.join(os.tmpdir(), `outbox-${Date.now()}`);
+      const transport = createOutboxTransport({ directory });
+      await transport.send(message);
+      const files = fs.readdirSync(directory);
+      const saved = JSON.parse(
+        fs.readFileSync(path.join(directory, files[0]), 'utf8')
+      );
+      fs.unlinkSync(path.join(directory, files[0]));
+      fs.rmdirSync(directory);
+      expect(files).to.have.length(1);
+      expect(saved).to.deep.equal(message);
+    });
+  });
+
+  context('when a transport is chosen in the config', () => {
+    it('creates that transport', () => {
+      const transport = createTransport({ transport: 'outbox', outbox: {} });
+      expect(transport.name).to.equal('outbox');
+    });
+
+    it('throws when the transport does not exist', () => {
+      expect(() => createTransport({ transport: 'pigeon' })).to.throw(
+        'unknown email transport pigeon'
+      );
+    });
+  });
+});
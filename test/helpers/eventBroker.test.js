@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createMemoryBroker,
+  useBroker,
+  publishEvent,
+  subscribeToEvents,
+  eventChannel
+} from '../../server/helpers';
+
+describe('Event Broker Helper Test', () => {
+  context('when events are published on a channel', () => {
+    it('sends them to the subscribers of that channel only', async () => {
+      const broker = createMemoryBroker();
+      const listener = sinon.spy();
+      const otherListener = sinon.spy();
+      await broker.subscribe('user:1', listener);
+      await broker.subscribe('user:2', otherListener);
+      await broker.publish('user:1', { type: 'notification', data: {} });
+      expect(listener.calledOnceWith({ type: 'notification', data: {} })).to
+        .equal(true);
+      expect(otherListener.called).to.equal(false);
+    });
+
+    it('stops sending them once a subscriber unsubscribes', async () => {
+      const broker = createMemoryBroker();
+      const listener = sinon.spy();
+      const unsubscribe = await broker.subscribe('article:1', listener);
+      unsubscribe();
+      const delivered = await broker.publish('article:1', { type: 'comment' });
+      expect(delivered).to.equal(false);
+      expect(listener.called).to.equal(false);
+    });
+  });
+
+  context('when a listener subscribes to several channels', () => {
+    it('receives events from each channel until it unsubscribes', async () => {
+      const listener = sinon.spy();
+      const channels = [eventChannel('user', 7), eventChannel('article', 3)];
+      const unsubscribe = await subscribeToEvents(channels, listener);
+      await publishEvent('user:7', { type: 'notification' });
+      await publishEvent('article:3', { type: 'comment' });
+      await unsubscribe();
+      await publishEvent('article:3', { type: 'comment' });
+      expect(listener.callCount).to.equal(2);
+    });
+  });
+
+  context('when the broker is replaced', () => {
+    it('publishes and subscribes through the new broker', async () => {
+      const replacement = {
+        publish: sinon.stub().resolves(true),
+        subscribe: sinon.stub().resolves(() => {})
+      };
+      const previous = useBroker(replacement);
+      await subscribeToEvents(['user:1'], () => {});
+      await publishEvent('user:1', { type: 'notification' });
+      useBroker(previous);
+      expect(replacement.subscribe.calledOnceWith('user:1')).to.equal(true);
+      expect(replacement.publish.calledOnceWith('user:1')).to.equal(true);
+    });
+  });
+});
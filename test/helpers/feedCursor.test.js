@@ -0,0 +1,25 @@
+import { expect } from 'chai';
+import { encodeCursor, decodeCursor } from '../../server/helpers';
+
+const article = { id: 12, publishedAt: '2019-09-10T14:22:04.482Z' };
+
+describe('Feed Cursor Helper Test', () => {
+  context('when a cursor is encoded and decoded', () => {
+    it('returns the publish date and id of the article', () => {
+      const cursor = encodeCursor(article);
+      expect(cursor).to.not.include(String(article.id));
+      expect(decodeCursor(cursor)).to.deep.equal({
+        publishedAt: new Date(article.publishedAt),
+        id: 12
+      });
+    });
+  });
+
+  context('when the cursor is not valid', () => {
+    it('returns null', () => {
+      expect(decodeCursor('not-a-cursor')).to.equal(null);
+      expect(decodeCursor(Buffer.from('2019-09-10|x').toString('base64')))
+        .to.equal(null);
+    });
+  });
+});
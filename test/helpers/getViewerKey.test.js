@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+import { getViewerKey } from '../../server/helpers';
+
+const request = {
+  ip: '127.0.0.1',
+  headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64)' }
+};
+
+describe('getViewerKey Helper Test', () => {
+  context('when the viewer is signed in', () => {
+    it('keys the view by user id', () => {
+      expect(getViewerKey(request, 7)).to.equal('user:7');
+    });
+  });
+
+  context('when the viewer is anonymous', () => {
+    it('returns the same hashed key for the same ip and user agent', () => {
+      const key = getViewerKey(request);
+      expect(key).to.match(/^anon:[a-f0-9]{64}$/);
+      expect(key).to.not.include(request.ip);
+      expect(getViewerKey({ ...request })).to.equal(key);
+    });
+
+    it('returns a different key for a different user agent', () => {
+      const otherRequest = { ...request, headers: { 'user-agent': 'curl' } };
+      expect(getViewerKey(otherRequest)).to.not.equal(getViewerKey(request));
+    });
+
+    it('handles a request without a user agent', () => {
+      const key = getViewerKey({ ip: request.ip, headers: {} });
+      expect(key).to.match(/^anon:[a-f0-9]{64}$/);
+    });
+  });
+});
@@ -4,10 +4,23 @@ import * as generateToken from './generateToken.test';
 import * as findToken from './findToken.test';
 import * as dateHelper from './dateHelper.test';
 import * as emailModule from './emailModule.test';
+import * as emailTransports from './emailTransports.test';
 import * as imageUpload from './imageUpload.test';
 import * as pagination from './paginationHelper.test';
 import * as tagHelper from './tagHelper.test';
 import * as articleResponse from './articleResponse.test';
+import * as lineDiff from './lineDiff.test';
+import * as scheduler from './scheduler.test';
+import * as getViewerKey from './getViewerKey.test';
+import * as readingStats from './readingStats.test';
+import * as feedCursor from './feedCursor.test';
+import * as anchorHelpers from './anchorHelpers.test';
+import * as mentions from './mentions.test';
+import * as eventBroker from './eventBroker.test';
+import * as sessionTokens from './sessionTokens.test';
+import * as tokenDenyList from './tokenDenyList.test';
+import * as twoFactor from './twoFactor.test';
+import * as rateLimiter from './rateLimiter.test';
 
 export {
   generateToken,
@@ -16,8 +29,21 @@ export {
   callback,
   dateHelper,
   emailModule,
+  emailTransports,
   imageUpload,
   pagination,
   tagHelper,
-  articleResponse
+  articleResponse,
+  lineDiff,
+  scheduler,
+  getViewerKey,
+  readingStats,
+  feedCursor,
+  anchorHelpers,
+  mentions,
+  eventBroker,
+  sessionTokens,
+  tokenDenyList,
+  twoFactor,
+  rateLimiter
 };
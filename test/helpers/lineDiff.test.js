@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+import { lineDiff } from '../../server/helpers';
+
+const text = 'first line\nsecond line';
+
+describe('lineDiff Helper Test', () => {
+  context('when both texts are the same', () => {
+    it('marks every line as unchanged', () => {
+      const diff = lineDiff(text, text);
+      expect(diff).to.have.length(2);
+      expect(diff.every(({ type }) => type === 'unchanged')).to.equal(true);
+    });
+  });
+
+  context('when a line is replaced', () => {
+    it('marks the old line as removed and the new line as added', () => {
+      const diff = lineDiff(text, 'first line\nthird line');
+      expect(diff).to.deep.equal([
+        { type: 'unchanged', line: 'first line' },
+        { type: 'removed', line: 'second line' },
+        { type: 'added', line: 'third line' }
+      ]);
+    });
+  });
+
+  context('when the previous text is empty', () => {
+    it('marks every line as added', () => {
+      const diff = lineDiff(null, text);
+      expect(diff).to.deep.equal([
+        { type: 'added', line: 'first line' },
+        { type: 'added', line: 'second line' }
+      ]);
+    });
+  });
+
+  context('when the current text is empty', () => {
+    it('marks every line as removed', () => {
+      const diff = lineDiff('first line', '');
+      expect(diff).to.deep.equal([{ type: 'removed', line: 'first line' }]);
+    });
+  });
+
+  context('when both texts are too long to compare line by line', () => {
+    it('keeps the shared lines and replaces the rest as a block', () => {
+      const previousLines = Array.from({ length: 1500 }, (_, i) => `old ${i}`);
+      const currentLines = Array.from({ length: 1500 }, (_, i) => `new ${i}`);
+      const diff = lineDiff(
+        ['title', ...previousLines, 'end'].join('\n'),
+        ['title', ...currentLines, 'end'].join('\n')
+      );
+      expect(diff).to.have.length(3002);
+      expect(diff[0]).to.deep.equal({ type: 'unchanged', line: 'title' });
+      expect(diff[1]).to.deep.equal({ type: 'removed', line: 'old 0' });
+      expect(diff[1501]).to.deep.equal({ type: 'added', line: 'new 0' });
+      expect(diff[3001]).to.deep.equal({ type: 'unchanged', line: 'end' });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import { parseMentions, renderMentions } from '../../server/helpers';
+
+const { SERVER_URL, BASE_URL } = process.env;
+
+describe('mentions Helper Test', () => {
+  context('when parsing a text for mentions', () => {
+    it('returns each mentioned username once', () => {
+      const text = '@johndoe1 and @janedoe2 agree with @johndoe1';
+      expect(parseMentions(text)).to.deep.equal(['johndoe1', 'janedoe2']);
+    });
+
+    it('ignores email addresses and names of the wrong length', () => {
+      const text = 'mail john@example.com, @abc or @averyveryverylongname';
+      expect(parseMentions(text)).to.deep.equal([]);
+    });
+
+    it('returns an empty list for an empty text', () => {
+      expect(parseMentions(null)).to.deep.equal([]);
+    });
+  });
+
+  context('when rendering mentions', () => {
+    it('links mentions of existing users to their profiles', () => {
+      const rendered = renderMentions('thanks @johndoe1!', ['johndoe1']);
+      expect(rendered).to.equal(
+        `thanks <a href="${SERVER_URL}${BASE_URL}/profiles/johndoe1">`
+          + '@johndoe1</a>!'
+      );
+    });
+
+    it('leaves mentions of unknown users as text', () => {
+      const rendered = renderMentions('hi @nobody12', ['johndoe1']);
+      expect(rendered).to.equal('hi @nobody12');
+    });
+  });
+});
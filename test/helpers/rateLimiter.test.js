@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createMemoryRateLimitStore,
+  useRateLimitStore,
+  consumeRateLimit
+} from '../../server/helpers';
+
+describe('Rate Limiter Helper Test', () => {
+  let clock, previous;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({
+      now: Date.parse('2019-10-04T10:00:00Z'),
+      toFake: ['Date']
+    });
+    previous = useRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    useRateLimitStore(previous);
+    clock.restore();
+  });
+
+  context('when a key is hit more often than its limit', () => {
+    it('is limited until the window ends', async () => {
+      const limit = { max: 2, windowMs: 60000 };
+      expect((await consumeRateLimit('login:ip:1', limit)).limited).to.equal(
+        false
+      );
+      await consumeRateLimit('login:ip:1', limit);
+      clock.tick(15000);
+      const result = await consumeRateLimit('login:ip:1', limit);
+      expect(result).to.deep.equal({ limited: true, retryAfter: 45 });
+      expect((await consumeRateLimit('login:ip:2', limit)).limited).to.equal(
+        false
+      );
+      clock.tick(45000);
+      expect((await consumeRateLimit('login:ip:1', limit)).limited).to.equal(
+        false
+      );
+    });
+  });
+
+  context('when an entry is set in the store', () => {
+    it('is kept until it resets', async () => {
+      const store = createMemoryRateLimitStore();
+      await store.set('lock', { count: 5, resetAt: Date.now() + 1000 });
+      expect(await store.get('lock')).to.deep.include({ count: 5 });
+      clock.tick(1000);
+      expect(await store.get('lock')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import { readingStats } from '../../server/helpers';
+
+describe('readingStats Helper Test', () => {
+  context('when the article body is plain text', () => {
+    it('counts the words and rounds the reading time up', () => {
+      const stats = readingStats('It takes a Jacobian');
+      expect(stats).to.deep.equal({ wordCount: 4, readTimeMinutes: 1 });
+    });
+  });
+
+  context('when the article body contains markup', () => {
+    it('does not count the markup as words', () => {
+      const articleBody = '<p>## Dragons</p>\n<b>really</b> [fly](http://a.b)'
+        + ' **high** &nbsp; - up';
+      const stats = readingStats(articleBody);
+      expect(stats.wordCount).to.equal(5);
+    });
+  });
+
+  context('when the article body is long', () => {
+    it('uses two hundred words per minute', () => {
+      const articleBody = new Array(401).fill('word').join(' ');
+      const stats = readingStats(articleBody);
+      expect(stats).to.deep.equal({ wordCount: 401, readTimeMinutes: 3 });
+    });
+  });
+
+  context('when the article body is empty', () => {
+    it('returns zero', () => {
+      expect(readingStats(undefined)).to.deep.equal({
+        wordCount: 0,
+        readTimeMinutes: 0
+      });
+    });
+  });
+});
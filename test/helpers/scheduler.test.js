@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createScheduler } from '../../server/helpers';
+
+/**
+ * @name flushPromises
+ * @returns {Promise} resolves after pending promise callbacks have run
+ */
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Scheduler Helper Test', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({
+      now: Date.parse('2019-09-20T10:00:00Z'),
+      toFake: ['Date', 'setInterval', 'clearInterval']
+    });
+  });
+
+  afterEach(() => clock.restore());
+
+  context('when the scheduler is started', () => {
+    it('runs the task with the current date on every interval', async () => {
+      const task = sinon.stub().resolves(1);
+      const scheduler = createScheduler(task, { interval: 1000 });
+      scheduler.start();
+      expect(scheduler.isRunning()).to.equal(true);
+      clock.tick(1000);
+      await flushPromises();
+      clock.tick(1000);
+      await flushPromises();
+      scheduler.stop();
+      clock.tick(1000);
+      expect(task.callCount).to.equal(2);
+      expect(task.firstCall.args[0].toISOString()).to.equal(
+        '2019-09-20T10:00:01.000Z'
+      );
+      expect(scheduler.isRunning()).to.equal(false);
+    });
+  });
+
+  context('when a run is still in progress', () => {
+    it('skips the overlapping run', async () => {
+      const task = sinon.stub().resolves(2);
+      const scheduler = createScheduler(task);
+      const [first, second] = await Promise.all([
+        scheduler.tick(),
+        scheduler.tick()
+      ]);
+      expect(task.callCount).to.equal(1);
+      expect(first).to.equal(2);
+      expect(second).to.equal(null);
+    });
+  });
+
+  context('when the task fails', () => {
+    it('resolves with null', async () => {
+      const task = sinon.stub().rejects(new Error('failed'));
+      const scheduler = createScheduler(task);
+      const result = await scheduler.tick();
+      expect(result).to.equal(null);
+    });
+  });
+});
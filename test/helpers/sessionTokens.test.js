@@ -0,0 +1,21 @@
+import { expect } from 'chai';
+import {
+  generateRefreshToken,
+  hashToken
+} from '../../server/helpers/sessionTokens';
+
+describe('Session Tokens Helper Test', () => {
+  it('generates a different refresh token every time', () => {
+    const first = generateRefreshToken();
+    const second = generateRefreshToken();
+    expect(first).to.have.length(96);
+    expect(first).to.not.equal(second);
+  });
+
+  it('hashes a token the same way every time', () => {
+    const token = generateRefreshToken();
+    expect(hashToken(token)).to.equal(hashToken(token));
+    expect(hashToken(token)).to.have.length(64);
+    expect(hashToken(token)).to.not.equal(token);
+  });
+});
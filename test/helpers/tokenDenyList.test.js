@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  generateToken,
+  createMemoryDenyList,
+  useDenyList,
+  denyToken,
+  isTokenDenied
+} from '../../server/helpers';
+
+describe('Token Deny List Helper Test', () => {
+  let clock, previous;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({
+      now: Date.parse('2019-10-03T10:00:00Z'),
+      toFake: ['Date']
+    });
+    previous = useDenyList(createMemoryDenyList());
+  });
+
+  afterEach(() => {
+    useDenyList(previous);
+    clock.restore();
+  });
+
+  context('when a token is denied', () => {
+    it('rejects it until it expires', async () => {
+      const token = generateToken({ id: 1 }, '15m');
+      await denyToken(token);
+      expect(await isTokenDenied(token)).to.equal(true);
+      expect(await isTokenDenied(generateToken({ id: 2 }, '15m'))).to.equal(
+        false
+      );
+      clock.tick(15 * 60 * 1000);
+      expect(await isTokenDenied(token)).to.equal(false);
+    });
+
+    it('uses the fallback date when the token never expires', async () => {
+      const token = generateToken({ id: 1 });
+      await denyToken(token, new Date(Date.now() + 60000));
+      clock.tick(59000);
+      expect(await isTokenDenied(token)).to.equal(true);
+      clock.tick(1000);
+      expect(await isTokenDenied(token)).to.equal(false);
+    });
+  });
+});
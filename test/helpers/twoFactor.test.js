@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import {
+  generateTwoFactorSecret,
+  twoFactorUri,
+  twoFactorStep,
+  verifyTwoFactorCode,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+} from '../../server/helpers';
+
+describe('Two-Factor Helper Test', () => {
+  const secret = generateTwoFactorSecret();
+
+  context('when a secret is generated', () => {
+    it('returns an otpauth URI for authenticator apps', () => {
+      const uri = twoFactorUri('rambo@gmail.com', secret);
+      expect(uri).to.match(/^otpauth:\/\/totp\//);
+      expect(uri).to.include(`secret=${secret}`);
+      expect(uri).to.include('issuer=Authors%20Haven');
+    });
+  });
+
+  context('when a code is verified', () => {
+    it('accepts the current code of the secret', () => {
+      const code = authenticator.generate(secret);
+      expect(verifyTwoFactorCode(secret, code)).to.equal(true);
+    });
+
+    it('rejects codes that are not six digits', () => {
+      expect(verifyTwoFactorCode(secret, '12345')).to.equal(false);
+      expect(verifyTwoFactorCode(secret, 'abcdef')).to.equal(false);
+      expect(verifyTwoFactorCode(secret, undefined)).to.equal(false);
+    });
+
+    it('rejects a wrong code', () => {
+      const code = authenticator.generate(secret);
+      const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+      expect(verifyTwoFactorCode(secret, wrongCode)).to.equal(false);
+    });
+  });
+
+  context('when the time step of a code is read', () => {
+    it('returns the step the code was generated for', () => {
+      const step = Math.floor(Date.now() / 30000);
+      const nextCode = authenticator
+        .clone({ epoch: (step + 1) * 30000 })
+        .generate(secret);
+      expect(twoFactorStep(secret, nextCode)).to.equal(step + 1);
+    });
+
+    it('returns null for an invalid code', () => {
+      expect(twoFactorStep(secret, '12345')).to.equal(null);
+    });
+  });
+
+  context('when recovery codes are generated', () => {
+    it('returns ten different codes', () => {
+      const codes = generateRecoveryCodes();
+      expect(codes).to.have.length(10);
+      expect(new Set(codes).size).to.equal(10);
+      codes.forEach(code => expect(code).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+  });
+
+  context('when a challenge token is created', () => {
+    it('returns the id of the user it was created for', () => {
+      const token = createChallengeToken(7);
+      expect(verifyChallengeToken(token)).to.equal(7);
+    });
+
+    it('cannot be used as an access token', () => {
+      const token = createChallengeToken(7);
+      expect(() => jwt.verify(token, process.env.JWT_KEY)).to.throw();
+    });
+
+    it('rejects access tokens and invalid tokens', () => {
+      const accessToken = jwt.sign({ id: 7 }, process.env.JWT_KEY);
+      expect(verifyChallengeToken(accessToken)).to.equal(null);
+      expect(verifyChallengeToken('invalid.challenge.token')).to.equal(null);
+    });
+  });
+});
@@ -13,6 +13,10 @@ import './comments';
 import './profiles';
 import './categories';
 import './search';
+import './reports';
+import './notifications';
+import './events';
+import './emails';
 
 const { expect } = chai;
 chai.use(chaiHttp);
@@ -113,4 +113,17 @@ describe('Test - Comment Model validations', () => {
       }
     });
   });
+
+  context('when a deleted comment has no text', () => {
+    it('passes validation', async () => {
+      const tombstone = Comment.build({
+        comment: null,
+        isDeleted: true,
+        articleId: 55,
+        userId: 566
+      });
+      await tombstone.validate();
+      expect(tombstone.comment).to.equal(null);
+    });
+  });
 });
@@ -0,0 +1,2 @@
+import './notifications.test';
+import './notificationSettings.test';
@@ -0,0 +1,162 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { notificationDigest } from '../../server/helpers';
+import emailTemplates from '../../server/helpers/emailTemplates';
+
+const { Notification, NotificationSetting, User } = models;
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const SETTINGS_URL = `${BASE_URL}/user/notification-settings`;
+const author = getNewUser();
+const firstFollower = getNewUser();
+const secondFollower = getNewUser();
+let authorToken, authorId;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+/**
+ * @name follow
+ * @param {String} token token of the follower
+ * @returns {Object} the follow response
+ */
+const follow = token => chai
+  .request(app)
+  .post(`${BASE_URL}/profiles/${author.userName}/follow`)
+  .set('Authorization', token);
+
+describe('Notification Settings Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    authorId = (await User.findByUsername(author.userName)).id;
+  });
+
+  context('when a user has not chosen their settings', () => {
+    it('returns the default settings', async () => {
+      const response = await chai
+        .request(app)
+        .get(SETTINGS_URL)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.settings).to.deep.equal({
+        follow: 'inApp',
+        comment: 'inApp',
+        like: 'inApp',
+        mention: 'both',
+        article: 'inApp',
+        digest: 'daily'
+      });
+    });
+  });
+
+  context('when a user turns off a type of notification', () => {
+    it('updates the settings', async () => {
+      const response = await chai
+        .request(app)
+        .put(SETTINGS_URL)
+        .set('Authorization', authorToken)
+        .send({ follow: 'none', digest: 'weekly' });
+      expect(response).to.have.status(200);
+      expect(response.body.settings.follow).to.equal('none');
+      expect(response.body.settings.digest).to.equal('weekly');
+    });
+
+    it('does not notify the user about that type of event', async () => {
+      await follow(await signUp(firstFollower));
+      const count = await Notification.count({
+        where: { userId: authorId, type: 'follow' }
+      });
+      expect(count).to.equal(0);
+    });
+  });
+
+  context('when a user chooses email only', () => {
+    before(async () => {
+      await chai
+        .request(app)
+        .put(SETTINGS_URL)
+        .set('Authorization', authorToken)
+        .send({ follow: 'email' });
+      await follow(await signUp(secondFollower));
+    });
+
+    it('keeps the notification out of the notification centre', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/notifications`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(0);
+    });
+
+    it('sends the notification in the next digest', async () => {
+      const digestEmail = sinon.stub(emailTemplates, 'sendDigestEmail');
+      await notificationDigest.tick();
+      const digest = digestEmail
+        .getCalls()
+        .find(({ args: [data] }) => data.email === author.email);
+      digestEmail.restore();
+      const pending = await Notification.count({
+        where: { userId: authorId, email: true, emailedAt: null }
+      });
+      expect(digest.args[0].digest).to.equal('weekly');
+      expect(digest.args[0].notifications).to.have.length(1);
+      expect(pending).to.equal(0);
+    });
+
+    it('waits a week before sending the next weekly digest', async () => {
+      await follow(await signUp(getNewUser()));
+      const digestEmail = sinon.stub(emailTemplates, 'sendDigestEmail');
+      await notificationDigest.tick();
+      const emails = digestEmail
+        .getCalls()
+        .filter(({ args: [data] }) => data.email === author.email);
+      digestEmail.restore();
+      expect(emails).to.have.length(0);
+    });
+  });
+
+  context('when the settings are invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .put(SETTINGS_URL)
+        .set('Authorization', authorToken)
+        .send({ like: 'sms' });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.like).to.equal(
+        'like must be one of inApp, email, both, none'
+      );
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(NotificationSetting, 'forUser')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(SETTINGS_URL)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { getNewUser } from '../users/__mocks__';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewArticle } from '../articles/__mocks__';
+
+const { Notification } = models;
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const NOTIFICATIONS_URL = `${BASE_URL}/notifications`;
+const author = getNewUser();
+const reader = getNewUser();
+let authorToken, readerToken, notificationId;
+
+/**
+ * @name signUp
+ * @param {Object} user user details
+ * @returns {String} token of the created user
+ */
+const signUp = async (user) => {
+  const response = await chai
+    .request(app)
+    .post(`${BASE_URL}/users/create`)
+    .send({ ...user, confirmPassword: user.password });
+  return response.body.token;
+};
+
+describe('Notifications Test', () => {
+  before(async () => {
+    authorToken = await signUp(author);
+    readerToken = await signUp(reader);
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(getNewArticle());
+    const { slug } = articleResponse.body;
+
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/profiles/${author.userName}/follow`)
+      .set('Authorization', readerToken);
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/${slug}/comments`)
+      .set('Authorization', readerToken)
+      .send({ comment: 'lovely read' });
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/${slug}/like`)
+      .set('Authorization', readerToken);
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/${slug}/comments`)
+      .set('Authorization', authorToken)
+      .send({ comment: 'thank you' });
+  });
+
+  context('when a user gets their notifications', () => {
+    it('returns the follow, comment and like, newest first', async () => {
+      const response = await chai
+        .request(app)
+        .get(NOTIFICATIONS_URL)
+        .set('Authorization', authorToken);
+      const types = response.body.data.results.map(({ type }) => type);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(3);
+      expect(types).to.deep.equal(['like', 'comment', 'follow']);
+      expect(response.body.data.results[0].actor.userName).to.equal(
+        reader.userName
+      );
+      notificationId = response.body.data.results[0].id;
+    });
+
+    it('does not notify users about their own actions', async () => {
+      const response = await chai
+        .request(app)
+        .get(NOTIFICATIONS_URL)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(0);
+    });
+  });
+
+  context('when a user reads a notification', () => {
+    it('marks the notification as read', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${NOTIFICATIONS_URL}/${notificationId}/read`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.notification.readAt).to.not.equal(null);
+    });
+
+    it('leaves the other notifications unread', async () => {
+      const response = await chai
+        .request(app)
+        .get(NOTIFICATIONS_URL)
+        .query({ unread: true })
+        .set('Authorization', authorToken);
+      const ids = response.body.data.results.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(response.body.data.count).to.equal(2);
+      expect(ids).to.not.include(notificationId);
+    });
+
+    it('counts the unread notifications', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${NOTIFICATIONS_URL}/unread-count`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.unread).to.equal(2);
+    });
+
+    it("does not read another user's notification", async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${NOTIFICATIONS_URL}/${notificationId}/read`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('notification not found');
+    });
+  });
+
+  context('when a user reads all their notifications', () => {
+    it('marks every unread notification as read', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${NOTIFICATIONS_URL}/read-all`)
+        .set('Authorization', authorToken);
+      const countResponse = await chai
+        .request(app)
+        .get(`${NOTIFICATIONS_URL}/unread-count`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(200);
+      expect(response.body.updatedCount).to.equal(2);
+      expect(countResponse.body.unread).to.equal(0);
+    });
+  });
+
+  context('when the unread filter is invalid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .get(NOTIFICATIONS_URL)
+        .query({ unread: 'maybe' })
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.unread).to.equal(
+        'Unread must be either true or false'
+      );
+    });
+  });
+
+  context('when the user is not signed in', () => {
+    it('returns an unauthorized error', async () => {
+      const response = await chai.request(app).get(NOTIFICATIONS_URL);
+      expect(response).to.have.status(401);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Notification, 'countUnread')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${NOTIFICATIONS_URL}/unread-count`)
+        .set('Authorization', authorToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
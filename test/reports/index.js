@@ -0,0 +1 @@
+import './reports.test';
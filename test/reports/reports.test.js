@@ -0,0 +1,239 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from '../users/__mocks__';
+import { getNewArticle } from '../articles/__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const { Article, Comment, Report } = models;
+const author = getNewUser();
+const reader = getNewUser();
+let authorToken, readerToken, adminToken, slug, commentId;
+const articleData = getNewArticle();
+let articleReportId, commentReportId;
+
+describe('Reports Test', () => {
+  before(async () => {
+    const authorResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...author, confirmPassword: author.password });
+    authorToken = authorResponse.body.token;
+
+    const readerResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...reader, confirmPassword: reader.password });
+    readerToken = readerResponse.body.token;
+
+    const adminResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/sessions/create`)
+      .send({ userLogin: 'demoUser', password: 'incorrect' });
+    adminToken = adminResponse.body.token;
+
+    const articleResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/create`)
+      .set('Authorization', authorToken)
+      .send(articleData);
+    ({ slug } = articleResponse.body);
+
+    const commentResponse = await chai
+      .request(app)
+      .post(`${BASE_URL}/articles/${slug}/comments`)
+      .set('Authorization', authorToken)
+      .send({ comment: 'buy cheap dragons at my store' });
+    commentId = commentResponse.body.comment.id;
+  });
+
+  context('when a reader reports an article', () => {
+    it('creates a pending report', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/report`)
+        .set('Authorization', readerToken)
+        .send({ reason: 'plagiarism', note: 'copied from my blog' });
+      expect(response).to.have.status(201);
+      expect(response.body.message).to.equal('article reported successfully');
+      expect(response.body.report.status).to.equal('pending');
+      articleReportId = response.body.report.id;
+    });
+
+    it('does not report the article twice', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/report`)
+        .set('Authorization', readerToken)
+        .send({ reason: 'spam' });
+      expect(response).to.have.status(409);
+      expect(response.body.error).to.equal(
+        'you have already reported this article'
+      );
+    });
+  });
+
+  context('when a reader reports a comment', () => {
+    it('creates a pending report', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments/${commentId}/report`)
+        .set('Authorization', readerToken)
+        .send({ reason: 'spam' });
+      expect(response).to.have.status(201);
+      expect(response.body.report.contentType).to.equal('comment');
+      commentReportId = response.body.report.id;
+    });
+
+    it('returns an error when the comment does not exist', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/comments/0/report`)
+        .set('Authorization', readerToken)
+        .send({ reason: 'spam' });
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('comment not found');
+    });
+  });
+
+  context('when the reason is not valid', () => {
+    it('returns a validation error', async () => {
+      const response = await chai
+        .request(app)
+        .post(`${BASE_URL}/articles/${slug}/report`)
+        .set('Authorization', readerToken)
+        .send({ reason: 'boring' });
+      expect(response).to.have.status(422);
+      expect(response.body.errors.reason).to.equal(
+        'reason must be one of plagiarism, spam, abuse, other'
+      );
+    });
+  });
+
+  context('when a user that is not an admin views the report queue', () => {
+    it('returns an unauthorized error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/reports`)
+        .set('Authorization', readerToken);
+      expect(response).to.have.status(403);
+      expect(response.body.error).to.equal('unauthorized user');
+    });
+  });
+
+  context('when an admin views the report queue', () => {
+    it('returns the pending reports', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/reports?contentType=article`)
+        .set('Authorization', adminToken);
+      const ids = response.body.data.results.map(({ id }) => id);
+      expect(response).to.have.status(200);
+      expect(ids).to.include(articleReportId);
+      expect(ids).to.not.include(commentReportId);
+    });
+  });
+
+  context('when an admin dismisses a report', () => {
+    it('closes the report', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/reports/${articleReportId}/dismiss`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+      expect(response.body.report.status).to.equal('dismissed');
+      const article = await Article.findBySlug(slug);
+      expect(article.isArchived).to.equal(false);
+    });
+
+    it('does not close the report twice', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/reports/${articleReportId}/resolve`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(409);
+      expect(response.body.error).to.equal('report has already been dismissed');
+    });
+  });
+
+  context('when an admin acts on a comment report', () => {
+    it('removes the comment and closes the report', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/reports/${commentReportId}/action`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('comment removed successfully');
+      expect(response.body.report.status).to.equal('actioned');
+      expect(await Comment.findByPk(commentId)).to.equal(null);
+    });
+  });
+
+  context('when an admin acts on an article report', () => {
+    it('archives the article', async () => {
+      const { id: articleId } = await Article.findBySlug(slug);
+      const report = await Report.create({
+        reporterId: 1,
+        articleId,
+        contentType: 'article',
+        contentId: articleId,
+        reason: 'abuse'
+      });
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/reports/${report.id}/action`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('article archived successfully');
+      const article = await Article.findBySlug(slug);
+      expect(article.isArchived).to.equal(true);
+    });
+  });
+
+  context('when the report does not exist', () => {
+    it('returns a not found error', async () => {
+      const response = await chai
+        .request(app)
+        .patch(`${BASE_URL}/reports/0/resolve`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('report not found');
+    });
+  });
+
+  context('when the report id is not a whole number', () => {
+    it('returns a validation error', async () => {
+      const responses = await Promise.all(
+        ['first', '1.5', '99999999999'].map(id => chai
+          .request(app)
+          .patch(`${BASE_URL}/reports/${id}/resolve`)
+          .set('Authorization', adminToken))
+      );
+      responses.forEach(response => expect(response).to.have.status(400));
+      expect(responses[0].body.errors.id).to.equal(
+        'Report id must be a number'
+      );
+      expect(responses[1].body.errors.id).to.equal(
+        'Report id must be a whole number'
+      );
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Report, 'findAndCountAll')
+        .rejects(new Error('Server Error'));
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/reports`)
+        .set('Authorization', adminToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
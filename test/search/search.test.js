@@ -20,6 +20,50 @@ describe('Search Tests', () => {
     });
   });
 
+  context('when the user sorts the articles by reading time', () => {
+    it('returns the longest articles first', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/search/?article&sort=longest`);
+      const readTimes = response.body.results.map(
+        ({ readTimeMinutes }) => readTimeMinutes
+      );
+      expect(response).to.have.status(200);
+      expect(response.body.results[0]).to.include.keys(
+        'wordCount',
+        'readTimeMinutes'
+      );
+      expect(readTimes).to.deep.equal([...readTimes].sort((a, b) => b - a));
+    });
+  });
+
+  context('when the user filters the articles by reading time', () => {
+    it('returns only articles within the range', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/search/?article&minReadTime=2&maxReadTime=3`);
+      expect(response).to.have.status(200);
+      response.body.results.forEach(({ readTimeMinutes }) => {
+        expect(readTimeMinutes).to.be.within(2, 3);
+      });
+    });
+  });
+
+  context('when the user enters an invalid sort or reading time', () => {
+    it('returns an error', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/search/?article&sort=fastest&minReadTime=1.5`);
+      expect(response).to.have.status(422);
+      expect(response.body.errors.sort).to.equal(
+        'Sort must be one of shortest, longest'
+      );
+      expect(response.body.errors.minReadTime).to.equal(
+        'Min Read Time must be a whole number'
+      );
+    });
+  });
+
   context('when the user enters an invalid query', () => {
     it('returns an error', async () => {
       const response = await chai
@@ -4,6 +4,10 @@ import * as verifyEmail from './emailVerify.test';
 import * as resendEmails from './resendVerifyEmail';
 import * as passwordChange from './passwordChange.test';
 import * as passwordReset from './passwordReset.test';
+import * as refreshTokens from './refreshTokens.test';
+import * as sessionManagement from './sessionManagement.test';
+import * as twoFactor from './twoFactor.test';
+import * as rateLimiting from './rateLimiting.test';
 
 export {
   signUp,
@@ -11,5 +15,9 @@ export {
   verifyEmail,
   resendEmails,
   passwordChange,
-  passwordReset
+  passwordReset,
+  refreshTokens,
+  sessionManagement,
+  twoFactor,
+  rateLimiting
 };
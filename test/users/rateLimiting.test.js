@@ -0,0 +1,197 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import rateLimitConfig from '../../server/database/config/rateLimitConfig';
+import emailTemplates from '../../server/helpers/emailTemplates';
+import {
+  createMemoryRateLimitStore,
+  useRateLimitStore
+} from '../../server/helpers';
+import { getNewUser } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const LOGIN_URL = `${BASE_URL}/sessions/create`;
+const RESET_URL = `${BASE_URL}/users/resetpassword`;
+const user = getNewUser();
+
+/**
+ * @name login
+ * @param {String} password password to sign in with
+ * @returns {Object} the response
+ */
+const login = password => chai
+  .request(app)
+  .post(LOGIN_URL)
+  .send({ userLogin: user.userName, password });
+
+/**
+ * @name loginFrom
+ * @param {String} address address of the client the proxy forwards
+ * @returns {Object} the response
+ */
+const loginFrom = address => chai
+  .request(app)
+  .post(LOGIN_URL)
+  .set('X-Forwarded-For', address)
+  .send({ userLogin: user.userName, password: user.password });
+
+/**
+ * @name verifyTwoFactor
+ * @returns {Object} the response to a second sign in step with a wrong code
+ */
+const verifyTwoFactor = () => chai
+  .request(app)
+  .post(`${BASE_URL}/sessions/2fa`)
+  .send({ challengeToken: 'invalid', code: '000000' });
+
+/**
+ * @name failLogins
+ * @param {Integer} times number of failed sign ins to make one after another
+ * @returns {Array} the responses
+ */
+const failLogins = times => Array.from({ length: times }).reduce(
+  async (previous) => {
+    const responses = await previous;
+    return [...responses, await login('wrongpassword')];
+  },
+  Promise.resolve([])
+);
+
+describe('Rate Limiting Test', () => {
+  let previousStore;
+
+  before(async () => {
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...user, confirmPassword: user.password });
+  });
+
+  beforeEach(() => {
+    previousStore = useRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    useRateLimitStore(previousStore);
+    sinon.restore();
+  });
+
+  context('when a client makes too many requests', () => {
+    it('returns 429 with a Retry-After header', async () => {
+      sinon.stub(rateLimitConfig, 'enabled').value(true);
+      sinon.stub(rateLimitConfig, 'login').value({
+        ip: { max: 2, windowMs: 60000 }
+      });
+      await login('wrongpassword');
+      await login('wrongpassword');
+      const response = await login(user.password);
+      expect(response).to.have.status(429);
+      expect(response).to.have.header('Retry-After', '60');
+      expect(response.body.message).to.equal(
+        'too many requests. please try again later'
+      );
+    });
+
+    it('limits password reset requests for an account', async () => {
+      sinon.stub(rateLimitConfig, 'enabled').value(true);
+      sinon.stub(rateLimitConfig, 'resetPassword').value({
+        ip: { max: 10, windowMs: 60000 },
+        account: { max: 1, windowMs: 60000 }
+      });
+      await chai.request(app).post(RESET_URL).send({ email: user.email });
+      const other = await chai
+        .request(app)
+        .post(RESET_URL)
+        .send({ email: 'someone.else@andela.com' });
+      expect(other).to.not.have.status(429);
+      const response = await chai
+        .request(app)
+        .post(RESET_URL)
+        .send({ email: user.email.toUpperCase() });
+      expect(response).to.have.status(429);
+      expect(response).to.have.header('Retry-After');
+    });
+
+    it('counts each client behind the proxy on its own', async () => {
+      sinon.stub(rateLimitConfig, 'enabled').value(true);
+      sinon.stub(rateLimitConfig, 'login').value({
+        ip: { max: 1, windowMs: 60000 }
+      });
+      await loginFrom('203.0.113.7');
+      const limited = await loginFrom('203.0.113.7');
+      const otherClient = await loginFrom('198.51.100.23');
+      expect(limited).to.have.status(429);
+      expect(otherClient).to.have.status(200);
+    });
+
+    it('limits two-factor sign in attempts', async () => {
+      sinon.stub(rateLimitConfig, 'enabled').value(true);
+      sinon.stub(rateLimitConfig, 'login').value({
+        ip: { max: 1, windowMs: 60000 }
+      });
+      await verifyTwoFactor();
+      const response = await verifyTwoFactor();
+      expect(response).to.have.status(429);
+      expect(response).to.have.header('Retry-After', '60');
+    });
+
+    it('does not limit requests when rate limiting is disabled', async () => {
+      sinon.stub(rateLimitConfig, 'enabled').value(false);
+      sinon.stub(rateLimitConfig, 'login').value({
+        ip: { max: 0, windowMs: 60000 }
+      });
+      const response = await login(user.password);
+      expect(response).to.have.status(200);
+    });
+  });
+
+  context('when sign in fails too many times for an account', () => {
+    it('locks the account and emails the user', async () => {
+      const sendEmail = sinon.stub(emailTemplates, 'sendAccountLockedEmail');
+      const { maxFailures } = rateLimitConfig.lockout;
+      const failures = await failLogins(maxFailures - 1);
+      failures.forEach(failed => expect(failed).to.have.status(401));
+      const locking = await login('wrongpassword');
+      expect(locking).to.have.status(429);
+      expect(sendEmail.calledOnce).to.equal(true);
+      expect(sendEmail.firstCall.args[0].email).to.equal(user.email);
+
+      const response = await login(user.password);
+      expect(response).to.have.status(429);
+      expect(response).to.have.header(
+        'Retry-After',
+        String(rateLimitConfig.lockout.lockMs / 1000)
+      );
+      expect(response.body.message).to.equal(
+        'account is temporarily locked after too many failed sign in '
+          + 'attempts. please try again later'
+      );
+    });
+
+    it('unlocks the account once the lock ends', async () => {
+      const clock = sinon.useFakeTimers({
+        now: Date.now(),
+        toFake: ['Date']
+      });
+      sinon.stub(emailTemplates, 'sendAccountLockedEmail');
+      const { maxFailures, lockMs } = rateLimitConfig.lockout;
+      await failLogins(maxFailures);
+      clock.tick(lockMs);
+      const response = await login(user.password);
+      expect(response).to.have.status(200);
+    });
+
+    it('forgets earlier failures after a successful sign in', async () => {
+      const sendEmail = sinon.stub(emailTemplates, 'sendAccountLockedEmail');
+      const { maxFailures } = rateLimitConfig.lockout;
+      await failLogins(maxFailures - 1);
+      await login(user.password);
+      const response = await login('wrongpassword');
+      expect(response).to.have.status(401);
+      expect(sendEmail.called).to.equal(false);
+    });
+  });
+});
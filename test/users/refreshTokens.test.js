@@ -0,0 +1,168 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const LOGIN_URL = `${BASE_URL}/sessions/create`;
+const REFRESH_URL = `${BASE_URL}/sessions/refresh`;
+const { Session } = models;
+const user = getNewUser();
+
+/**
+ * @name login
+ * @returns {Object} the access token and refresh token of a new session
+ */
+const login = async () => {
+  const response = await chai
+    .request(app)
+    .post(LOGIN_URL)
+    .send({ userLogin: user.userName, password: user.password });
+  return response.body;
+};
+
+/**
+ * @name refresh
+ * @param {String} refreshToken refresh token to exchange
+ * @returns {Object} the refresh response
+ */
+const refresh = refreshToken => chai
+  .request(app)
+  .post(REFRESH_URL)
+  .send({ refreshToken });
+
+describe('Refresh Token Test', () => {
+  before(async () => {
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...user, confirmPassword: user.password });
+  });
+
+  context('when a user signs in', () => {
+    it('stores only the hash of the refresh token', async () => {
+      const { token, refreshToken } = await login();
+      const session = await Session.findOne({ where: { token } });
+      expect(refreshToken).to.be.a('string');
+      expect(session.refreshTokenHash).to.be.a('string');
+      expect(session.refreshTokenHash).to.not.equal(refreshToken);
+      expect(session.familyId).to.be.a('string');
+    });
+  });
+
+  context('when a valid refresh token is exchanged', () => {
+    let firstTokens, response;
+
+    before(async () => {
+      firstTokens = await login();
+      response = await refresh(firstTokens.refreshToken);
+    });
+
+    it('returns a new access token and refresh token', () => {
+      expect(response).to.have.status(200);
+      expect(response.body).to.have.key('token', 'refreshToken');
+      expect(response.body.token).to.not.equal(firstTokens.token);
+      expect(response.body.refreshToken).to.not.equal(
+        firstTokens.refreshToken
+      );
+      expect(response.header.authorization).to.equal(response.body.token);
+    });
+
+    it('keeps the new session in the same family', async () => {
+      const oldSession = await Session.findOne({
+        where: { token: firstTokens.token }
+      });
+      const newSession = await Session.findActiveSessionByToken(
+        response.body.token
+      );
+      expect(oldSession.active).to.equal(false);
+      expect(oldSession.rotatedAt).to.not.equal(null);
+      expect(newSession.familyId).to.equal(oldSession.familyId);
+    });
+
+    it('stops accepting the old access token', async () => {
+      const notifications = await chai
+        .request(app)
+        .get(`${BASE_URL}/notifications`)
+        .set('Authorization', firstTokens.token);
+      expect(notifications).to.have.status(404);
+    });
+  });
+
+  context('when a refresh token is used twice', () => {
+    let stolenToken, latestTokens, response;
+
+    before(async () => {
+      stolenToken = (await login()).refreshToken;
+      latestTokens = (await refresh(stolenToken)).body;
+      response = await refresh(stolenToken);
+    });
+
+    it('returns an error', () => {
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal(
+        'refresh token has already been used. please sign in again'
+      );
+    });
+
+    it('revokes every session of the family', async () => {
+      const latest = await refresh(latestTokens.refreshToken);
+      const session = await Session.findActiveSessionByToken(
+        latestTokens.token
+      );
+      expect(latest).to.have.status(401);
+      expect(latest.body.message).to.equal('invalid refresh token');
+      expect(session).to.equal(null);
+    });
+
+    it('does not sign out the other sessions of the user', async () => {
+      const { refreshToken } = await login();
+      const other = await refresh(refreshToken);
+      expect(other).to.have.status(200);
+    });
+  });
+
+  context('when the session has expired', () => {
+    it('returns an error', async () => {
+      const { token, refreshToken } = await login();
+      await Session.update(
+        { expiresAt: new Date(Date.now() - 1000) },
+        { where: { token } }
+      );
+      const response = await refresh(refreshToken);
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal(
+        'session has expired. please sign in again'
+      );
+    });
+  });
+
+  context('when the refresh token is invalid', () => {
+    it('returns an error when it is missing', async () => {
+      const response = await refresh();
+      expect(response).to.have.status(400);
+      expect(response.body.message).to.equal('refresh token is required');
+    });
+
+    it('returns an error when it is unknown', async () => {
+      const response = await refresh('not-a-refresh-token');
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal('invalid refresh token');
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Session, 'findByRefreshToken')
+        .rejects(new Error('Server Error'));
+      const response = await refresh('any-refresh-token');
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../../server';
+import models from '../../server/database/models';
+import { getNewUser } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const SESSIONS_URL = `${BASE_URL}/sessions`;
+const { Session, User } = models;
+const user = getNewUser();
+const otherUser = getNewUser();
+const mobileAgent = 'Mozilla/5.0 (Android 4.4; Mobile; rv:41.0) Gecko/41.0';
+let laptopToken, phoneToken, tabletToken, otherToken;
+
+/**
+ * @name login
+ * @param {Object} details username and password of the user
+ * @param {String} userAgent user agent of the device signing in
+ * @returns {String} access token of the new session
+ */
+const login = async ({ userName, password }, userAgent = 'Chrome/76.0') => {
+  const response = await chai
+    .request(app)
+    .post(`${SESSIONS_URL}/create`)
+    .set('user-agent', userAgent)
+    .send({ userLogin: userName, password });
+  return response.body.token;
+};
+
+/**
+ * @name listSessions
+ * @param {String} token access token of the session making the request
+ * @returns {Object} the list response
+ */
+const listSessions = token => chai
+  .request(app)
+  .get(SESSIONS_URL)
+  .set('Authorization', token);
+
+describe('Session Management Test', () => {
+  before(async () => {
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...user, confirmPassword: user.password });
+    await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...otherUser, confirmPassword: otherUser.password });
+    const { id: userId } = await User.findByUsername(user.userName);
+    await Session.update({ active: false }, { where: { userId } });
+    laptopToken = await login(user);
+    phoneToken = await login(user, mobileAgent);
+    tabletToken = await login(user, mobileAgent);
+    otherToken = await login(otherUser);
+  });
+
+  context('when a user lists their sessions', () => {
+    it('returns the active sessions and marks the current one', async () => {
+      const response = await listSessions(laptopToken);
+      const { sessions } = response.body;
+      const current = sessions.filter(session => session.current);
+      expect(response).to.have.status(200);
+      expect(response.body.sessionsCount).to.equal(3);
+      expect(current).to.have.length(1);
+      expect(current[0].devicePlatform).to.equal('browser');
+      expect(sessions[0]).to.not.have.property('token');
+      expect(sessions[0]).to.not.have.property('refreshTokenHash');
+      expect(sessions[0]).to.include.keys(
+        'id',
+        'userAgent',
+        'ipAddress',
+        'createdAt'
+      );
+    });
+  });
+
+  context('when a user revokes one of their sessions', () => {
+    it('signs that device out', async () => {
+      const phone = (await listSessions(phoneToken)).body.sessions.find(
+        session => session.current
+      );
+      const response = await chai
+        .request(app)
+        .delete(`${SESSIONS_URL}/${phone.id}`)
+        .set('Authorization', laptopToken);
+      const phoneResponse = await listSessions(phoneToken);
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal('session revoked');
+      expect(phoneResponse).to.have.status(404);
+    });
+
+    it('does not revoke the sessions of other users', async () => {
+      const other = (await listSessions(otherToken)).body.sessions[0];
+      const response = await chai
+        .request(app)
+        .delete(`${SESSIONS_URL}/${other.id}`)
+        .set('Authorization', laptopToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('session not found');
+      expect(await listSessions(otherToken)).to.have.status(200);
+    });
+
+    it('returns an error when the session does not exist', async () => {
+      const response = await chai
+        .request(app)
+        .delete(`${SESSIONS_URL}/unknown`)
+        .set('Authorization', laptopToken);
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('session not found');
+    });
+  });
+
+  context('when a user signs out everywhere else', () => {
+    it('revokes every session except the current one', async () => {
+      const response = await chai
+        .request(app)
+        .delete(SESSIONS_URL)
+        .set('Authorization', laptopToken);
+      const remaining = await listSessions(laptopToken);
+      expect(response).to.have.status(200);
+      expect(response.body.revokedCount).to.equal(1);
+      expect(remaining.body.sessionsCount).to.equal(1);
+      expect(remaining.body.sessions[0].current).to.equal(true);
+      expect(await listSessions(tabletToken)).to.have.status(404);
+    });
+  });
+
+  context('when the request is not authenticated', () => {
+    it('returns an error', async () => {
+      const response = await chai.request(app).get(SESSIONS_URL);
+      expect(response).to.have.status(401);
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(Session, 'findActiveForUser')
+        .rejects(new Error('Server Error'));
+      const response = await listSessions(laptopToken);
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});
@@ -21,7 +21,7 @@ describe('LOGIN TEST', () => {
       .post(`${LOGIN_URL}`)
       .send(rightUserWithEmail);
     expect(response).to.have.status(200);
-    expect(response.body).to.have.key('user', 'token');
+    expect(response.body).to.have.key('user', 'token', 'refreshToken');
     expect(response.body.user).to.not.have.property('password');
     expect(response.body.token).to.equal(response.header.authorization);
     expect(response.body.user).to.have.any.keys(
@@ -65,7 +65,7 @@ describe('LOGIN TEST', () => {
       .post(`${LOGIN_URL}`)
       .send(rightUserWithUserName);
     expect(response).to.have.status(200);
-    expect(response.body).to.have.key('user', 'token');
+    expect(response.body).to.have.key('user', 'token', 'refreshToken');
     expect(response.body.user).to.not.have.property('password');
     expect(response.body.user).to.have.any.keys(
       'id',
@@ -122,32 +122,92 @@ describe('LOGIN SERVER ERROR TEST', () => {
 
 describe('Sign out Test', () => {
   let sessionToken;
-  before(async () => {
+
+  /**
+   * @name login
+   * @returns {String} access token of a new session
+   */
+  const login = async () => {
     const response = await chai
       .request(app)
       .post(`${LOGIN_URL}`)
       .send(rightUserWithEmail);
-    sessionToken = response.body.token;
+    return response.body.token;
+  };
+
+  before(async () => {
+    sessionToken = await login();
   });
 
   it('should set session active to false when signing out', async () => {
     const response = await chai
       .request(app)
-      .get('/api/v1/sessions/destroy')
+      .post('/api/v1/sessions/destroy')
       .set('authorization', sessionToken);
+    const session = await Session.findOne({ where: { token: sessionToken } });
     expect(response).to.have.status(200);
     expect(response.body.message).to.deep.equal('sign out successful');
+    expect(session.active).to.equal(false);
   });
 
-  it('sign out successful even when token is invalid', async () => {
+  it('should reject the token once the user has signed out', async () => {
     const response = await chai
       .request(app)
-      .get('/api/v1/sessions/destroy')
-      .set('authorization', 'invalid.session.Token');
+      .post('/api/v1/sessions/destroy')
+      .set('authorization', sessionToken);
+    expect(response).to.have.status(401);
+    expect(response.body.message).to.equal('token has been revoked');
+  });
+
+  it('should sign out with a DELETE request', async () => {
+    const token = await login();
+    const response = await chai
+      .request(app)
+      .delete('/api/v1/sessions/destroy')
+      .set('authorization', token);
     expect(response).to.have.status(200);
     expect(response.body.message).to.deep.equal('sign out successful');
   });
 
+  it('should not sign out when the token is invalid', async () => {
+    const response = await chai
+      .request(app)
+      .post('/api/v1/sessions/destroy')
+      .set('authorization', 'invalid.session.Token');
+    expect(response).to.have.status(401);
+    expect(response.body.message).to.equal('JsonWebTokenError');
+  });
+
+  it('should not sign out when no token is provided', async () => {
+    const response = await chai
+      .request(app)
+      .post('/api/v1/sessions/destroy');
+    expect(response).to.have.status(401);
+    expect(response.body.message).to.equal('no token provided');
+  });
+
+  it('should not sign out when the session has been revoked', async () => {
+    const token = await login();
+    await Session.update({ active: false }, { where: { token } });
+    const response = await chai
+      .request(app)
+      .post('/api/v1/sessions/destroy')
+      .set('authorization', token);
+    expect(response).to.have.status(404);
+    expect(response.body.message).to.equal(
+      'session not found. please re-authenticate to continue'
+    );
+  });
+
+  it('should no longer allow sign out with a GET request', async () => {
+    const token = await login();
+    const response = await chai
+      .request(app)
+      .get('/api/v1/sessions/destroy')
+      .set('authorization', token);
+    expect(response).to.have.status(404);
+  });
+
   it('should respond with error 500 if there is an error', async () => {
     const stubfunc = { destroy };
     const sandbox = sinon.createSandbox();
@@ -31,7 +31,7 @@ describe('POST User', () => {
     expect(response).to.have.status(201);
     expect(response.body).to.be.an('object');
     expect(response.body.user.userName).to.equal(existingUserName);
-    expect(response.body).to.have.key('user', 'token');
+    expect(response.body).to.have.key('user', 'token', 'refreshToken');
     expect(response.body.user).to.not.have.property('password');
     expect(response.body.token).to.equal(response.header.authorization);
     expect(response.body.user.email).to.equal(existingEmail);
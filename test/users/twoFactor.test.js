@@ -0,0 +1,265 @@
+import chai, { expect } from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { authenticator } from 'otplib';
+import app from '../../server';
+import models from '../../server/database/models';
+import rateLimitConfig from '../../server/database/config/rateLimitConfig';
+import emailTemplates from '../../server/helpers/emailTemplates';
+import {
+  createMemoryRateLimitStore,
+  useRateLimitStore
+} from '../../server/helpers';
+import { getNewUser } from './__mocks__';
+
+chai.use(chaiHttp);
+
+const { BASE_URL } = process.env;
+const TWO_FACTOR_URL = `${BASE_URL}/user/2fa`;
+const LOGIN_URL = `${BASE_URL}/sessions/create`;
+const VERIFY_URL = `${BASE_URL}/sessions/2fa`;
+const { TwoFactorAuth, RecoveryCode, User } = models;
+const user = getNewUser();
+let userToken, secret, recoveryCodes;
+
+/**
+ * @name login
+ * @returns {Object} the body of the login response
+ */
+const login = async () => {
+  const response = await chai
+    .request(app)
+    .post(LOGIN_URL)
+    .send({ userLogin: user.userName, password: user.password });
+  return response.body;
+};
+
+/**
+ * @name postCode
+ * @param {String} action enrol, confirm or disable
+ * @param {String} code code from the authenticator app or a recovery code
+ * @returns {Object} the response
+ */
+const postCode = (action, code) => chai
+  .request(app)
+  .post(`${TWO_FACTOR_URL}/${action}`)
+  .set('Authorization', userToken)
+  .send({ code });
+
+describe('Two-Factor Authentication Test', () => {
+  before(async () => {
+    const response = await chai
+      .request(app)
+      .post(`${BASE_URL}/users/create`)
+      .send({ ...user, confirmPassword: user.password });
+    userToken = response.body.token;
+  });
+
+  context('when a user confirms before enrolling', () => {
+    it('returns an error', async () => {
+      const response = await postCode('confirm', '123456');
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal('two-factor enrolment not found');
+    });
+  });
+
+  context('when a user enrols', () => {
+    it('returns a secret and an otpauth URI', async () => {
+      const response = await postCode('enrol');
+      ({ secret } = response.body);
+      expect(response).to.have.status(200);
+      expect(secret).to.be.a('string');
+      expect(response.body.otpauthUri).to.include(`secret=${secret}`);
+    });
+
+    it('does not ask for a code until it is confirmed', async () => {
+      const body = await login();
+      expect(body).to.have.property('token');
+    });
+
+    it('rejects a wrong confirmation code', async () => {
+      const response = await postCode('confirm', '000000');
+      expect(response).to.have.status(400);
+      expect(response.body.error).to.equal('invalid authentication code');
+    });
+
+    it('turns on two-factor sign in with a valid code', async () => {
+      const response = await postCode(
+        'confirm',
+        authenticator.generate(secret)
+      );
+      ({ recoveryCodes } = response.body);
+      const { id: userId } = await User.findByUsername(user.userName);
+      const storedCodes = await RecoveryCode.findAll({ where: { userId } });
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal(
+        'two-factor authentication enabled'
+      );
+      expect(recoveryCodes).to.have.length(10);
+      expect(storedCodes).to.have.length(10);
+      storedCodes.forEach(({ codeHash }) => {
+        expect(recoveryCodes).to.not.include(codeHash);
+      });
+    });
+
+    it('does not let the user enrol again', async () => {
+      const response = await postCode('enrol');
+      expect(response).to.have.status(409);
+      expect(response.body.error).to.equal(
+        'two-factor authentication is already enabled'
+      );
+    });
+  });
+
+  context('when a user with two-factor authentication signs in', () => {
+    let challengeToken, nextCode;
+
+    before(async () => {
+      ({ challengeToken } = await login());
+      nextCode = authenticator
+        .clone({ epoch: Date.now() + 30000 })
+        .generate(secret);
+    });
+
+    it('returns a challenge token instead of a session', async () => {
+      const body = await login();
+      expect(body.twoFactorRequired).to.equal(true);
+      expect(body.challengeToken).to.be.a('string');
+      expect(body).to.not.have.property('token');
+    });
+
+    it('does not accept the challenge token as an access token', async () => {
+      const response = await chai
+        .request(app)
+        .get(`${BASE_URL}/sessions`)
+        .set('Authorization', challengeToken);
+      expect(response).to.have.status(401);
+    });
+
+    it('rejects a wrong code', async () => {
+      const response = await chai
+        .request(app)
+        .post(VERIFY_URL)
+        .send({ challengeToken, code: '000000' });
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal('invalid authentication code');
+    });
+
+    it('rejects an invalid challenge token', async () => {
+      const response = await chai
+        .request(app)
+        .post(VERIFY_URL)
+        .send({ challengeToken: userToken, code: '000000' });
+      expect(response).to.have.status(401);
+      expect(response.body.message).to.equal(
+        'invalid or expired challenge token'
+      );
+    });
+
+    it('starts a session with a code from the app', async () => {
+      const response = await chai
+        .request(app)
+        .post(VERIFY_URL)
+        .send({ challengeToken, code: nextCode });
+      expect(response).to.have.status(200);
+      expect(response.body).to.have.key('user', 'token', 'refreshToken');
+      expect(response.body.user.userName).to.equal(user.userName);
+    });
+
+    it('does not accept a code from the app again', async () => {
+      const responses = await Promise.all(
+        [nextCode, authenticator.generate(secret)].map(code => chai
+          .request(app)
+          .post(VERIFY_URL)
+          .send({ challengeToken, code }))
+      );
+      responses.forEach((response) => {
+        expect(response).to.have.status(401);
+        expect(response.body.message).to.equal('invalid authentication code');
+      });
+    });
+
+    it('starts a session with a recovery code only once', async () => {
+      const [recoveryCode] = recoveryCodes;
+      const first = await chai
+        .request(app)
+        .post(VERIFY_URL)
+        .send({ challengeToken, code: recoveryCode });
+      const second = await chai
+        .request(app)
+        .post(VERIFY_URL)
+        .send({ challengeToken, code: recoveryCode });
+      expect(first).to.have.status(200);
+      expect(second).to.have.status(401);
+    });
+
+    it('requires the challenge token and the code', async () => {
+      const response = await chai.request(app).post(VERIFY_URL).send({});
+      expect(response).to.have.status(422);
+      expect(response.body.errors.code).to.equal('code is required');
+      expect(response.body.errors.challengeToken).to.equal(
+        'challenge token is required'
+      );
+    });
+  });
+
+  context('when a user disables two-factor authentication', () => {
+    it('rejects a wrong code', async () => {
+      const response = await postCode('disable', '000000');
+      expect(response).to.have.status(400);
+      expect(response.body.error).to.equal('invalid authentication code');
+    });
+
+    it('locks the account after too many wrong codes', async () => {
+      const previousStore = useRateLimitStore(createMemoryRateLimitStore());
+      const sendEmail = sinon.stub(emailTemplates, 'sendAccountLockedEmail');
+      const { maxFailures, lockMs } = rateLimitConfig.lockout;
+      const responses = await Array.from({ length: maxFailures }).reduce(
+        async previous => [
+          ...(await previous),
+          await postCode('disable', '000000')
+        ],
+        Promise.resolve([])
+      );
+      const locked = await postCode('disable', recoveryCodes[1]);
+      useRateLimitStore(previousStore);
+      sendEmail.restore();
+      responses
+        .slice(0, -1)
+        .forEach(response => expect(response).to.have.status(400));
+      expect(responses[maxFailures - 1]).to.have.status(429);
+      expect(locked).to.have.status(429);
+      expect(locked).to.have.header('Retry-After', String(lockMs / 1000));
+      expect(sendEmail.calledOnce).to.equal(true);
+    });
+
+    it('turns it off with a recovery code', async () => {
+      const response = await postCode('disable', recoveryCodes[1]);
+      const body = await login();
+      expect(response).to.have.status(200);
+      expect(response.body.message).to.equal(
+        'two-factor authentication disabled'
+      );
+      expect(body).to.have.property('token');
+    });
+
+    it('returns an error when it is not enabled', async () => {
+      const response = await postCode('disable', '000000');
+      expect(response).to.have.status(404);
+      expect(response.body.error).to.equal(
+        'two-factor authentication is not enabled'
+      );
+    });
+  });
+
+  context('when there is a server error', () => {
+    it('returns a server error', async () => {
+      const stub = sinon
+        .stub(TwoFactorAuth, 'findEnabled')
+        .rejects(new Error('Server Error'));
+      const response = await postCode('enrol');
+      expect(response).to.have.status(500);
+      stub.restore();
+    });
+  });
+});